@@ -0,0 +1,93 @@
+/**
+ * Bestiary
+ * Search and filters for the entity cards, which scripts/build-walkthrough.js renders
+ * from data/bestiary.json. Searching reads the cards as shown, so it works in every
+ * language; the filters use the cards' data-kind, data-boss and data-sectors.
+ */
+
+class Bestiary {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.toolbar = root.querySelector('[data-bestiary-toolbar]');
+        this.searchInput = root.querySelector('.bestiary-search');
+        this.sectorSelect = root.querySelector('#bestiarySector');
+        this.kindButtons = Array.from(root.querySelectorAll('[data-kind-filter]'));
+        this.count = root.querySelector('.bestiary-count');
+        this.empty = root.querySelector('.bestiary-empty');
+        this.cards = Array.from(root.querySelectorAll('.bestiary-card'));
+
+        // Callback into the app for the walkthrough step links
+        this.actions = {
+            goToStep: options.goToStep || (() => {})
+        };
+
+        this.kind = '';
+
+        if (this.cards.length === 0) return;
+
+        this.bindEvents();
+        this.toolbar.hidden = false;
+        this.apply();
+    }
+
+    bindEvents() {
+        this.searchInput.addEventListener('input', utils.debounce(() => {
+            this.apply();
+        }, 120));
+
+        this.sectorSelect.addEventListener('change', () => {
+            this.apply();
+        });
+
+        this.kindButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.kind = button.dataset.kindFilter;
+                this.kindButtons.forEach(other => {
+                    other.setAttribute('aria-pressed', String(other === button));
+                });
+                this.apply();
+            });
+        });
+
+        // The links work without JavaScript too, as ?tab=...&step=... routes
+        this.root.addEventListener('click', (e) => {
+            const link = e.target.closest('.bestiary-step[data-step]');
+            if (link) {
+                e.preventDefault();
+                this.actions.goToStep(link.dataset.step);
+            }
+        });
+
+        // New wording to search and a new count
+        document.addEventListener('translationsapplied', () => {
+            this.apply();
+        });
+    }
+
+    matches(card, words) {
+        if (this.kind === 'boss' && !card.hasAttribute('data-boss')) return false;
+        if (this.kind && this.kind !== 'boss' && card.dataset.kind !== this.kind) return false;
+
+        const sector = this.sectorSelect.value;
+        if (sector && !card.dataset.sectors.split(' ').includes(sector)) return false;
+
+        const text = utils.text.normalize(card.textContent);
+        return words.every(word => text.includes(word));
+    }
+
+    apply() {
+        const words = utils.text.normalize(this.searchInput.value).split(/\s+/).filter(Boolean);
+        let visible = 0;
+
+        this.cards.forEach(card => {
+            const match = this.matches(card, words);
+            card.hidden = !match;
+            if (match) visible++;
+        });
+
+        this.empty.hidden = visible > 0;
+        this.count.textContent = utils.i18n.t('bestiary_count', '{count, plural, one {# entity} other {# entities}}', { count: visible });
+    }
+}
+
+window.Bestiary = Bestiary;
@@ -0,0 +1,369 @@
+/**
+ * Carousel
+ * Horizontal card carousels (Main Process, Reviews). The track scrolls natively with CSS
+ * scroll snapping, so touch swipes work as they do anywhere else; this adds the arrows,
+ * pagination dots, keyboard and mouse drag navigation, autoplay and screen reader support.
+ *
+ * Markup: <div class="carousel-wrapper" data-carousel aria-label="..."> with a .carousel-btn.prev,
+ * a .carousel-track of cards and a .carousel-btn.next. Configured with data attributes:
+ *   data-carousel-autoplay="8000"  advance every 8 seconds (off without it or with reduced motion)
+ *   data-carousel-dots="false"     no pagination dots
+ */
+
+class Carousel {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = {
+            autoplay: 0,
+            dots: true,
+            dragDistance: 50,
+            ...options
+        };
+
+        if (root.dataset.carouselAutoplay) {
+            this.options.autoplay = parseInt(root.dataset.carouselAutoplay, 10) || 0;
+        }
+        if (root.dataset.carouselDots === 'false') {
+            this.options.dots = false;
+        }
+
+        this.track = root.querySelector('.carousel-track');
+        this.prevBtn = root.querySelector('.carousel-btn.prev');
+        this.nextBtn = root.querySelector('.carousel-btn.next');
+        if (!this.track) return;
+
+        this.slides = Array.from(this.track.children);
+        this.pages = [];
+        this.current = 0;
+        this.announced = 0;
+        this.drag = null;
+        this.autoplayTimer = null;
+        this.paused = false;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        this.build();
+        this.bindEvents();
+        this.update();
+        this.updateLabels();
+        this.startAutoplay();
+    }
+
+    build() {
+        this.root.setAttribute('role', 'region');
+        this.track.tabIndex = 0;
+        if (this.track.id) {
+            this.prevBtn?.setAttribute('aria-controls', this.track.id);
+            this.nextBtn?.setAttribute('aria-controls', this.track.id);
+        }
+
+        this.slides.forEach(slide => {
+            slide.setAttribute('role', 'group');
+        });
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'carousel-controls';
+
+        if (this.options.autoplay) {
+            this.playBtn = document.createElement('button');
+            this.playBtn.type = 'button';
+            this.playBtn.className = 'carousel-play';
+            this.controls.appendChild(this.playBtn);
+        }
+
+        if (this.options.dots) {
+            this.dots = document.createElement('div');
+            this.dots.className = 'carousel-dots';
+            this.controls.appendChild(this.dots);
+        }
+
+        // Quiet while autoplay is running, otherwise every slide change would be read out
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+
+        this.root.appendChild(this.controls);
+        this.root.appendChild(this.liveRegion);
+    }
+
+    bindEvents() {
+        this.prevBtn?.addEventListener('click', () => this.goTo(this.current - 1));
+        this.nextBtn?.addEventListener('click', () => this.goTo(this.current + 1));
+
+        this.track.addEventListener('scroll', () => {
+            if (this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.update();
+            });
+        }, { passive: true });
+
+        // Read out where the carousel stopped, not every slide it passed
+        this.track.addEventListener('scroll', utils.debounce(() => this.announce(), 200), { passive: true });
+
+        this.root.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.track.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.track.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.track.addEventListener('pointerup', (e) => this.endDrag(e));
+        this.track.addEventListener('pointercancel', (e) => this.endDrag(e));
+
+        this.playBtn?.addEventListener('click', () => {
+            this.paused = !this.paused;
+            if (this.paused) {
+                this.stopAutoplay();
+            } else {
+                this.startAutoplay();
+            }
+            this.updateLabels();
+        });
+
+        // Autoplay waits while the player is reading or the tab is hidden
+        this.root.addEventListener('mouseenter', () => this.stopAutoplay());
+        this.root.addEventListener('mouseleave', () => this.startAutoplay());
+        this.root.addEventListener('focusin', () => this.stopAutoplay());
+        this.root.addEventListener('focusout', (e) => {
+            if (!this.root.contains(e.relatedTarget)) {
+                this.startAutoplay();
+            }
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.stopAutoplay();
+            } else {
+                this.startAutoplay();
+            }
+        });
+        this.reducedMotion.addEventListener('change', () => {
+            this.stopAutoplay();
+            this.startAutoplay();
+            this.updateLabels();
+        });
+
+        window.addEventListener('resize', utils.debounce(() => this.update(), 150));
+        document.addEventListener('translationsapplied', () => {
+            this.update();
+            this.updateLabels();
+        });
+        // Scroll positions restart from the other side when the direction changes
+        document.addEventListener('guidelanguagechange', () => this.goTo(0, { instant: true }));
+    }
+
+    // Scroll distance from the start of the track, in the reading direction
+    getScrollPosition() {
+        return Math.abs(this.track.scrollLeft);
+    }
+
+    // One page per distinct snap position: the last few cards share the end position
+    measurePages() {
+        const trackRect = this.track.getBoundingClientRect();
+        const scrolled = this.getScrollPosition();
+        const max = this.track.scrollWidth - this.track.clientWidth;
+        const isRTL = utils.i18n.isRTL();
+        const pages = [];
+
+        this.slides.forEach((slide, index) => {
+            const rect = slide.getBoundingClientRect();
+            const start = isRTL ? trackRect.right - rect.right : rect.left - trackRect.left;
+            const position = Math.min(Math.max(0, Math.round(start + scrolled)), max);
+            const last = pages[pages.length - 1];
+
+            if (!last || position - last.position > 1) {
+                pages.push({ position, slide: index });
+            }
+        });
+
+        return pages.length > 0 ? pages : [{ position: 0, slide: 0 }];
+    }
+
+    update() {
+        const previousCount = this.pages.length;
+        this.pages = this.measurePages();
+
+        const scrolled = this.getScrollPosition();
+        this.current = this.pages.reduce((nearest, page, index) => (
+            Math.abs(page.position - scrolled) < Math.abs(this.pages[nearest].position - scrolled) ? index : nearest
+        ), 0);
+
+        const max = this.track.scrollWidth - this.track.clientWidth;
+        this.setDisabled(this.prevBtn, scrolled <= 1);
+        this.setDisabled(this.nextBtn, scrolled >= max - 1);
+
+        if (this.dots) {
+            if (this.pages.length !== previousCount) {
+                this.renderDots();
+            }
+            Array.from(this.dots.children).forEach((dot, index) => {
+                if (index === this.current) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+        }
+    }
+
+    // A focused arrow that gets disabled at the end hands focus to the track instead of dropping it
+    setDisabled(button, disabled) {
+        if (!button || button.disabled === disabled) return;
+
+        if (disabled && document.activeElement === button) {
+            this.track.focus({ preventScroll: true });
+        }
+        button.disabled = disabled;
+    }
+
+    renderDots() {
+        const focused = this.dots.contains(document.activeElement);
+        this.dots.innerHTML = '';
+        this.dots.hidden = this.pages.length < 2;
+
+        this.pages.forEach((page, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'carousel-dot';
+            dot.addEventListener('click', () => this.goTo(index));
+            this.dots.appendChild(dot);
+        });
+
+        this.updateLabels();
+        if (focused) {
+            this.dots.children[this.current]?.focus();
+        }
+    }
+
+    updateLabels() {
+        const total = this.slides.length;
+
+        this.root.setAttribute('aria-roledescription', utils.i18n.t('carousel_roledescription', 'carousel'));
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('aria-roledescription', utils.i18n.t('carousel_slide_roledescription', 'slide'));
+            slide.setAttribute('aria-label', utils.i18n.t('carousel_slide_label', '{index, number} of {total, number}', { index: index + 1, total }));
+        });
+
+        if (this.dots) {
+            Array.from(this.dots.children).forEach((dot, index) => {
+                dot.setAttribute('aria-label', utils.i18n.t('carousel_go_to', 'Go to slide {index, number}', { index: this.pages[index].slide + 1 }));
+            });
+        }
+
+        if (this.playBtn) {
+            this.playBtn.hidden = this.reducedMotion.matches;
+            this.playBtn.textContent = this.paused ? '▶' : '❚❚';
+            this.playBtn.setAttribute('aria-label', this.paused
+                ? utils.i18n.t('carousel_play', 'Start automatic slide show')
+                : utils.i18n.t('carousel_pause', 'Stop automatic slide show'));
+        }
+    }
+
+    goTo(index, options = {}) {
+        const page = this.pages[Math.max(0, Math.min(index, this.pages.length - 1))];
+        if (!page) return;
+
+        const instant = options.instant || this.reducedMotion.matches;
+        this.track.scrollTo({ left: utils.i18n.inlineOffset(page.position), behavior: instant ? 'auto' : 'smooth' });
+    }
+
+    announce() {
+        if (this.current === this.announced) return;
+        this.announced = this.current;
+
+        const page = this.pages[this.current];
+        this.liveRegion.textContent = utils.i18n.t('carousel_announce', 'Slide {index, number} of {total, number}', {
+            index: page.slide + 1,
+            total: this.slides.length
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        let index = null;
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            // Arrows follow the reading direction
+            const forward = (e.key === 'ArrowRight') !== utils.i18n.isRTL();
+            index = this.current + (forward ? 1 : -1);
+        } else if (e.key === 'Home') {
+            index = 0;
+        } else if (e.key === 'End') {
+            index = this.pages.length - 1;
+        }
+
+        if (index === null) return;
+        e.preventDefault();
+
+        index = Math.max(0, Math.min(index, this.pages.length - 1));
+        this.goTo(index);
+        if (e.target.classList.contains('carousel-dot')) {
+            this.dots.children[index]?.focus();
+        }
+    }
+
+    // Touch swipes scroll natively; a mouse can drag the track too
+    startDrag(e) {
+        if (e.pointerType !== 'mouse' || e.button !== 0) return;
+
+        this.drag = { pointerId: e.pointerId, x: e.clientX, scrollLeft: this.track.scrollLeft, page: this.current, moved: false };
+    }
+
+    moveDrag(e) {
+        const drag = this.drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+
+        const dx = e.clientX - drag.x;
+        if (!drag.moved && Math.abs(dx) > 5) {
+            drag.moved = true;
+            this.track.setPointerCapture(e.pointerId);
+            utils.addClass(this.track, 'is-dragging');
+        }
+        if (drag.moved) {
+            this.track.scrollLeft = drag.scrollLeft - dx;
+        }
+    }
+
+    endDrag(e) {
+        const drag = this.drag;
+        if (!drag || drag.pointerId !== e.pointerId) return;
+        this.drag = null;
+        if (!drag.moved) return;
+
+        utils.removeClass(this.track, 'is-dragging');
+        this.update();
+
+        // A long enough drag always moves at least one page
+        const dx = e.clientX - drag.x;
+        let index = this.current;
+        if (index === drag.page && Math.abs(dx) >= this.options.dragDistance) {
+            const forward = (dx < 0) !== utils.i18n.isRTL();
+            index += forward ? 1 : -1;
+        }
+        this.goTo(index);
+
+        // The click that ends a drag shouldn't open anything
+        const suppressClick = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+        };
+        this.track.addEventListener('click', suppressClick, { capture: true, once: true });
+        setTimeout(() => this.track.removeEventListener('click', suppressClick, { capture: true }), 0);
+    }
+
+    startAutoplay() {
+        if (!this.options.autoplay || this.paused || this.reducedMotion.matches || this.autoplayTimer) return;
+        if (document.hidden || this.root.matches(':hover') || this.root.contains(document.activeElement)) return;
+
+        this.liveRegion.setAttribute('aria-live', 'off');
+        this.autoplayTimer = setInterval(() => {
+            // Back to the first card after the last
+            this.goTo(this.current >= this.pages.length - 1 ? 0 : this.current + 1);
+        }, this.options.autoplay);
+    }
+
+    stopAutoplay() {
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.liveRegion.setAttribute('aria-live', 'polite');
+    }
+}
+
+window.Carousel = Carousel;
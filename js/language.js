@@ -8,48 +8,66 @@ class LanguageManager {
         this.currentLanguage = 'en';
         this.translations = {};
         this.fallbackLanguage = 'en';
-        this.supportedLanguages = [
-            'en',      // English
-            'fr',      // French
-            'de',      // German
-            'ru',      // Russian
-            'es',      // Spanish
-            'es-la',   // Latin American Spanish
-            'ja',      // Japanese
-            'ko',      // Korean
-            'pt-br',   // Brazilian Portuguese
-            'zh'       // Simplified Chinese
-        ];
-        
-        this.languageNames = {
-            'en': 'English',
-            'fr': 'Français',
-            'de': 'Deutsch',
-            'ru': 'РУССКИЙ',
-            'es': 'ESPAÑOL',
-            'es-la': 'ESPAÑOL LATINOAMÉRICA',
-            'ja': '日本語',
-            'ko': '한국어',
-            'pt-br': 'Português Brasileiro',
-            'zh': '简体中文'
+        this.siteUrl = 'https://abiotic-factor.net';
+        
+        // Per-locale replacements for annotated screenshots: { lang: { originalSrc: localizedSrc } }
+        this.imageSwaps = {};
+        
+        // English content and attribute values from the HTML, restored when a locale has no
+        // translation and when switching back to English without a reload
+        this.originalContent = new WeakMap();
+        this.originalAttributes = new WeakMap();
+        this.originalMeta = null;
+        
+        // Pages under /<lang>/ are pre-rendered by scripts/build-locales.js, so their HTML isn't
+        // English and switching to English (or to a locale missing a key) has to use en.json
+        this.prerenderedLanguage = document.documentElement.dataset.prerendered || null;
+        this.translatableAttributes = ['alt', 'title', 'aria-label', 'aria-description', 'placeholder', 'label'];
+        
+        // Translator debug mode (?i18n-debug): outlines elements whose key is missing or still in English
+        this.debugMode = utils.url.getParam('i18n-debug') !== null;
+        
+        // Filled from data/locales.json, the one list of languages (code, name, tag, dir,
+        // completeness). scripts/build-locales.js generates the static HTML from the same file,
+        // so the language modal's buttons give the full list until the manifest has loaded:
+        // a state import or share link can be validated before that
+        this.locales = {
+            'en': { code: 'en', name: 'English', tag: 'en', dir: 'ltr', completeness: 100 }
         };
+        this.readLocalesFromMarkup();
+        this.supportedLanguages = Object.keys(this.locales);
+        
+        // Include the language preference in exported and shared guide state
+        window.guideState?.register('preferred_language', {
+            label: 'Language',
+            labelKey: 'state_label_preferred_language',
+            validate: (value) => this.supportedLanguages.includes(value),
+            // Merging someone else's state never changes your own language
+            merge: (current) => current,
+            describe: (value) => this.getLanguageName(value)
+        });
         
         this.init();
     }
     
     async init() {
+        await this.loadLocales();
+        
         // Detect user's preferred language
         this.detectLanguage();
         
         // Load the current language
-        await this.loadLanguage(this.currentLanguage);
+        await Promise.all([
+            this.loadLanguage(this.currentLanguage),
+            this.prerenderedLanguage ? this.loadLanguage(this.fallbackLanguage) : null,
+            this.loadImageSwaps()
+        ]);
         
-        // Apply translations with a small delay to ensure DOM is ready
-        setTimeout(() => {
-            this.applyTranslations();
-        }, 100);
+        // Pre-rendered pages already show the right text, so this doesn't flash
+        utils.domReady(() => this.applyTranslations());
         
         // Set up event listeners
+        this.renderLanguageButtons();
         this.setupEventListeners();
         
         // Update UI
@@ -143,7 +161,54 @@ class LanguageManager {
         }
     }
     
-    async changeLanguage(langCode) {
+    async loadLocales() {
+        try {
+            const response = await fetch('/data/locales.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const manifest = await response.json();
+            this.siteUrl = manifest.siteUrl || this.siteUrl;
+            this.fallbackLanguage = manifest.defaultLocale || this.fallbackLanguage;
+            this.locales = manifest.locales.reduce((locales, locale) => {
+                locales[locale.code] = locale;
+                return locales;
+            }, {});
+            this.supportedLanguages = Object.keys(this.locales);
+        } catch (error) {
+            // Keeps the list read from the modal buttons
+            console.warn('Failed to load locales:', error);
+        }
+        
+        return this.locales;
+    }
+    
+    // The generated modal buttons carry the same list as data/locales.json
+    readLocalesFromMarkup() {
+        document.querySelectorAll('.language-grid [data-lang]').forEach(button => {
+            const code = button.dataset.lang;
+            this.locales[code] = { code, name: button.textContent.trim(), tag: button.lang || code, dir: button.dir || 'ltr' };
+        });
+    }
+    
+    async loadImageSwaps() {
+        try {
+            const response = await fetch('/data/localized-images.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.imageSwaps = await response.json();
+        } catch (error) {
+            console.warn('Failed to load localized images:', error);
+        }
+        
+        return this.imageSwaps;
+    }
+    
+    async changeLanguage(langCode, options = {}) {
+        const { updateUrl = true } = options;
+        
         if (!this.supportedLanguages.includes(langCode)) {
             console.warn(`Unsupported language: ${langCode}`);
             return;
@@ -153,106 +218,392 @@ class LanguageManager {
             return;
         }
         
-        // Save preference before redirect
+        // Without the History API fall back to loading the language path
+        if (updateUrl && !(window.history && window.history.pushState)) {
+            utils.storage.set('preferred_language', langCode);
+            this.redirectToLanguage(langCode);
+            return;
+        }
+        
+        // Only show the loading indicator when the JSON isn't cached yet
+        const needsFetch = !this.translations[langCode];
+        if (needsFetch) {
+            this.showLoadingIndicator();
+        }
+        
+        try {
+            await this.loadLanguage(langCode);
+        } finally {
+            if (needsFetch) {
+                this.hideLoadingIndicator();
+            }
+        }
+        
+        if (!this.translations[langCode]) {
+            utils.a11y.announce(utils.i18n.t('language_load_failed', 'Could not load {{language}}', {
+                language: this.getLanguageName(langCode)
+            }));
+            return;
+        }
+        
+        const previousLanguage = this.currentLanguage;
+        this.currentLanguage = langCode;
         utils.storage.set('preferred_language', langCode);
         
-        // Redirect to appropriate URL path
-        this.redirectToLanguage(langCode);
+        if (updateUrl) {
+            const { search, hash } = window.location;
+            window.history.pushState({}, '', this.getLanguagePath(langCode) + search + hash);
+        }
+        
+        this.applyTranslations();
+        this.updateLanguageUI();
+        
+        document.dispatchEvent(new CustomEvent('guidelanguagechange', {
+            detail: { language: langCode, previousLanguage }
+        }));
     }
     
-    redirectToLanguage(langCode) {
-        const currentPath = window.location.pathname;
-        let newPath;
-        
-        if (langCode === 'en') {
-            // English uses root path
-            // Remove language prefix if exists
-            const cleanPath = currentPath.replace(/^\/[^\/]+(\/.*)$/, '$1') || '/';
-            newPath = cleanPath === '/' ? '/' : cleanPath;
-        } else {
-            // Other languages use subdirectory
-            // Remove existing language prefix if exists, then add new one
-            const cleanPath = currentPath.replace(/^\/[^\/]+(\/.*)$/, '$1') || '/';
-            newPath = `/${langCode}${cleanPath === '/' ? '/' : cleanPath}`;
+    // English lives at the root, other languages under /<lang>/
+    getLanguagePath(langCode, path = window.location.pathname) {
+        const segments = path.split('/');
+        if (this.supportedLanguages.includes(segments[1])) {
+            segments.splice(1, 1);
         }
         
+        const cleanPath = segments.join('/') || '/';
+        return langCode === this.fallbackLanguage ? cleanPath : `/${langCode}${cleanPath}`;
+    }
+    
+    getLanguageUrl(langCode) {
+        return this.siteUrl + this.getLanguagePath(langCode, '/');
+    }
+    
+    getLanguageTag(langCode = this.currentLanguage) {
+        return this.locales[langCode]?.tag || langCode;
+    }
+    
+    redirectToLanguage(langCode) {
         // Preserve query parameters and hash
         const search = window.location.search;
         const hash = window.location.hash;
         
         // Redirect to new URL
-        window.location.href = newPath + search + hash;
+        window.location.href = this.getLanguagePath(langCode) + search + hash;
     }
     
     applyTranslations() {
         const elements = document.querySelectorAll('[data-translate]');
         
-        // 如果是英文（默认语言），直接显示HTML中的原始内容，不进行翻译
-        if (this.currentLanguage === 'en') {
-            elements.forEach(element => {
-                // 对于英文，保持HTML中的原始内容，不进行任何替换
-                // 这样可以避免显示键值的问题
-            });
-            return;
-        }
+        this.applyAttributeTranslations();
+        this.applyImageSwaps();
         
-        // 其他语言才进行翻译
-        const currentTranslations = this.translations[this.currentLanguage] || {};
-        const fallbackTranslations = this.translations[this.fallbackLanguage] || {};
+        const currentTranslations = this.getActiveTranslations();
         
         elements.forEach(element => {
             const key = element.dataset.translate;
-            const translation = currentTranslations[key] || fallbackTranslations[key] || key;
+            const translation = currentTranslations[key];
             
             // Handle different element types
             if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                if (element.type === 'submit' || element.type === 'button') {
-                    element.value = translation;
-                } else {
-                    element.placeholder = translation;
-                }
+                const attribute = element.type === 'submit' || element.type === 'button' ? 'value' : 'placeholder';
+                const original = this.getOriginalAttribute(element, attribute);
+                element[attribute] = translation ? this.toPlainText(translation) : original || '';
             } else if (element.hasAttribute('aria-label')) {
-                element.setAttribute('aria-label', translation);
+                const original = this.getOriginalAttribute(element, 'aria-label');
+                element.setAttribute('aria-label', translation ? this.toPlainText(translation) : original);
+            } else if (translation) {
+                this.getOriginalContent(element);
+                this.renderTranslation(element, translation);
             } else {
-                element.textContent = translation;
+                this.restoreOriginalContent(element);
             }
         });
         
         // Update meta tags
         this.updateMetaTags();
+        this.updateDocumentLanguage();
+        
+        if (this.debugMode) {
+            this.highlightUntranslated();
+        }
+        
+        this.notifyTranslationsApplied();
+    }
+    
+    // 英文（默认语言）直接显示HTML中的原始内容；从其他语言切换回来时恢复原始内容。
+    // Pre-rendered pages fall back to en.json instead, their HTML is in another language
+    getActiveTranslations() {
+        const current = this.translations[this.currentLanguage] || {};
+        
+        if (this.prerenderedLanguage) {
+            return { ...this.translations[this.fallbackLanguage], ...current };
+        }
+        return this.currentLanguage === this.fallbackLanguage ? {} : current;
+    }
+    
+    getOriginalContent(element) {
+        if (!this.originalContent.has(element)) {
+            this.originalContent.set(element, Array.from(element.childNodes).map(node => node.cloneNode(true)));
+        }
+        return this.originalContent.get(element);
+    }
+    
+    restoreOriginalContent(element) {
+        if (!this.originalContent.has(element)) return;
+        element.replaceChildren(...this.getOriginalContent(element).map(node => node.cloneNode(true)));
+    }
+    
+    // Locale strings may contain line breaks, bold, [item] references and links (js/rich-text.js)
+    renderTranslation(element, translation) {
+        if (!window.richText) {
+            element.textContent = translation;
+            return;
+        }
+        element.replaceChildren(window.richText.render(translation));
+    }
+    
+    // Attributes can't hold markup
+    toPlainText(translation) {
+        return window.richText ? window.richText.toPlainText(translation) : translation;
+    }
+    
+    // data-translate-attr="alt:key;title:key2" - the HTML values are the English defaults
+    applyAttributeTranslations(root = document) {
+        const currentTranslations = this.getActiveTranslations();
+        
+        root.querySelectorAll('[data-translate-attr]').forEach(element => {
+            this.parseAttributeMap(element.dataset.translateAttr).forEach(({ attribute, key }) => {
+                const original = this.getOriginalAttribute(element, attribute);
+                const translation = currentTranslations[key];
+                
+                if (translation) {
+                    element.setAttribute(attribute, this.toPlainText(translation));
+                } else if (original !== null) {
+                    element.setAttribute(attribute, original);
+                }
+            });
+        });
+    }
+    
+    parseAttributeMap(value = '') {
+        return value.split(';')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attribute, key]) => {
+                if (!attribute || !key) return false;
+                if (!this.translatableAttributes.includes(attribute)) {
+                    console.warn(`Attribute "${attribute}" cannot be translated`);
+                    return false;
+                }
+                return true;
+            })
+            .map(([attribute, key]) => ({ attribute, key }));
+    }
+    
+    getOriginalAttribute(element, attribute) {
+        if (!this.originalAttributes.has(element)) {
+            this.originalAttributes.set(element, {});
+        }
+        
+        const originals = this.originalAttributes.get(element);
+        if (!(attribute in originals)) {
+            originals[attribute] = element.getAttribute(attribute);
+        }
+        return originals[attribute];
+    }
+    
+    // Swap screenshots listed in data/localized-images.json, falling back to the original on error.
+    // Images whose src is set by scripts opt out with data-image-swap="off" and use localizeImageSrc()
+    applyImageSwaps(root = document) {
+        root.querySelectorAll('img[src]:not([data-image-swap="off"])').forEach(image => {
+            const original = this.getOriginalAttribute(image, 'src');
+            
+            // Responsive images are listed under the source file, not the generated variant
+            const picture = image.closest('picture[data-image]');
+            const swapped = this.localizeImageSrc(picture ? picture.dataset.image : original);
+            const localized = picture && swapped === picture.dataset.image ? original : swapped;
+            
+            if (picture) {
+                this.toggleResponsiveSources(picture, image, localized === original);
+            }
+            
+            if (image.getAttribute('src') === localized) return;
+            
+            if (localized !== original) {
+                image.addEventListener('error', () => {
+                    image.style.display = '';
+                    image.setAttribute('src', original);
+                    if (picture) {
+                        this.toggleResponsiveSources(picture, image, true);
+                    }
+                }, { once: true });
+            }
+            image.setAttribute('src', localized);
+        });
+    }
+    
+    // The generated variants show the original screenshot, so a localized one has to bypass them
+    toggleResponsiveSources(picture, image, enabled) {
+        const srcset = this.getOriginalAttribute(image, 'srcset');
+        
+        picture.querySelectorAll('source').forEach(source => {
+            if (enabled) {
+                source.removeAttribute('media');
+            } else {
+                source.setAttribute('media', 'not all');
+            }
+        });
+        
+        if (enabled && srcset) {
+            image.setAttribute('srcset', srcset);
+        } else {
+            image.removeAttribute('srcset');
+        }
+    }
+    
+    localizeImageSrc(src) {
+        const swaps = this.imageSwaps[this.currentLanguage] || {};
+        return swaps[src] || src;
+    }
+    
+    setDebugMode(enabled) {
+        this.debugMode = enabled;
+        
+        if (enabled) {
+            this.highlightUntranslated();
+        } else {
+            document.querySelectorAll('[data-i18n-debug]').forEach(element => {
+                element.removeAttribute('data-i18n-debug');
+            });
+        }
+    }
+    
+    // Marks [data-translate] and [data-translate-attr] elements with data-i18n-debug="missing|untranslated"
+    // and logs the keys. Full coverage for every locale: node scripts/check-translations.js
+    async highlightUntranslated() {
+        const english = await this.loadLanguage(this.fallbackLanguage);
+        const current = this.translations[this.currentLanguage] || {};
+        const isEnglish = this.currentLanguage === this.fallbackLanguage;
+        const report = [];
+        
+        const getStatus = (key) => {
+            if (!current[key]) return 'missing';
+            if (!isEnglish && current[key] === english[key]) return 'untranslated';
+            return null;
+        };
+        
+        document.querySelectorAll('[data-i18n-debug]').forEach(element => {
+            element.removeAttribute('data-i18n-debug');
+        });
+        
+        document.querySelectorAll('[data-translate], [data-translate-attr]').forEach(element => {
+            const keys = this.parseAttributeMap(element.dataset.translateAttr).map(({ key }) => key);
+            if (element.dataset.translate) {
+                keys.unshift(element.dataset.translate);
+            }
+            
+            const statuses = keys.map(key => {
+                const status = getStatus(key);
+                if (status) {
+                    report.push({ key, status, element: element.tagName.toLowerCase() });
+                }
+                return status;
+            });
+            
+            const status = statuses.includes('missing') ? 'missing' : statuses.find(Boolean);
+            if (status) {
+                element.setAttribute('data-i18n-debug', status);
+            }
+        });
+        
+        console.info(`[i18n-debug] ${this.currentLanguage}: ${report.length} untranslated key(s)`);
+        if (report.length > 0) {
+            console.table(report);
+        }
+        return report;
+    }
+    
+    // Let components that build their own UI text refresh it
+    notifyTranslationsApplied() {
+        document.dispatchEvent(new CustomEvent('translationsapplied', {
+            detail: { language: this.currentLanguage }
+        }));
     }
     
     updateMetaTags() {
-        const currentTranslations = this.translations[this.currentLanguage] || {};
-        const fallbackTranslations = this.translations[this.fallbackLanguage] || {};
+        const currentTranslations = this.getActiveTranslations();
+        const original = this.getOriginalMeta();
         
         // Update title
-        const titleKey = 'page_title';
-        const title = currentTranslations[titleKey] || fallbackTranslations[titleKey];
-        if (title) {
-            document.title = title;
-        }
+        const title = currentTranslations.page_title || original.title;
+        document.title = title;
         
         // Update meta description
-        const descKey = 'page_description';
-        const description = currentTranslations[descKey] || fallbackTranslations[descKey];
-        if (description) {
-            const metaDesc = document.querySelector('meta[name="description"]');
-            if (metaDesc) {
-                metaDesc.content = description;
-            }
+        const description = currentTranslations.page_description || original.description;
+        const metaDesc = document.querySelector('meta[name="description"]');
+        if (metaDesc && description) {
+            metaDesc.content = description;
         }
         
         // Update Open Graph tags
         const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle && title) {
-            ogTitle.content = title;
+        if (ogTitle) {
+            ogTitle.content = currentTranslations.page_title || original.ogTitle;
         }
         
         const ogDesc = document.querySelector('meta[property="og:description"]');
-        if (ogDesc && description) {
-            ogDesc.content = description;
+        if (ogDesc) {
+            ogDesc.content = currentTranslations.page_description || original.ogDescription;
+        }
+    }
+    
+    // English meta values from the HTML
+    getOriginalMeta() {
+        if (!this.originalMeta) {
+            const content = (selector) => document.querySelector(selector)?.content || '';
+            this.originalMeta = {
+                title: document.title,
+                description: content('meta[name="description"]'),
+                ogTitle: content('meta[property="og:title"]'),
+                ogDescription: content('meta[property="og:description"]')
+            };
+        }
+        return this.originalMeta;
+    }
+    
+    // <html lang>, canonical URL and hreflang alternates for the current language
+    updateDocumentLanguage() {
+        document.documentElement.lang = this.getLanguageTag();
+        this.updateDirection();
+        
+        const url = this.getLanguageUrl(this.currentLanguage);
+        const canonical = document.querySelector('link[rel="canonical"]');
+        if (canonical) {
+            canonical.href = url;
+        }
+        
+        const ogUrl = document.querySelector('meta[property="og:url"]');
+        if (ogUrl) {
+            ogUrl.content = url;
+        }
+        
+        const ogLocale = document.querySelector('meta[property="og:locale"]');
+        if (ogLocale) {
+            ogLocale.content = this.getLanguageTag().replace(/-/g, '_');
         }
+        
+        const alternates = this.supportedLanguages.map(langCode => [this.getLanguageTag(langCode), this.getLanguageUrl(langCode)]);
+        alternates.push(['x-default', this.getLanguageUrl(this.fallbackLanguage)]);
+        
+        alternates.forEach(([hreflang, href]) => {
+            let link = document.head.querySelector(`link[rel="alternate"][hreflang="${hreflang}"]`);
+            if (!link) {
+                link = document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = hreflang;
+                document.head.appendChild(link);
+            }
+            link.href = href;
+        });
     }
     
     setupEventListeners() {
@@ -264,8 +615,7 @@ class LanguageManager {
             });
         }
         
-        // Language modal
-        const languageModal = document.getElementById('languageModal');
+        // Language modal (backdrop clicks and Escape are handled by window.modals)
         const closeModal = document.getElementById('closeLanguageModal');
         
         if (closeModal) {
@@ -274,19 +624,11 @@ class LanguageManager {
             });
         }
         
-        if (languageModal) {
-            languageModal.addEventListener('click', (e) => {
-                if (e.target === languageModal) {
-                    this.hideLanguageModal();
-                }
-            });
-        }
-        
         // Language selection buttons
         const languageButtons = document.querySelectorAll('.language-btn, .footer-lang-btn');
         languageButtons.forEach(button => {
             button.addEventListener('click', (e) => {
-                const langCode = e.target.dataset.lang;
+                const langCode = e.currentTarget.dataset.lang;
                 if (langCode) {
                     this.changeLanguage(langCode);
                     this.hideLanguageModal();
@@ -294,6 +636,14 @@ class LanguageManager {
             });
         });
         
+        // Back/forward between language paths switches in place
+        window.addEventListener('popstate', () => {
+            const pathLang = this.detectLanguageFromPath();
+            if (pathLang !== this.currentLanguage) {
+                this.changeLanguage(pathLang, { updateUrl: false });
+            }
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Alt + L to open language modal
@@ -301,31 +651,40 @@ class LanguageManager {
                 e.preventDefault();
                 this.showLanguageModal();
             }
+        });
+    }
+    
+    // The language menus follow data/locales.json even when the generated HTML is out of date
+    renderLanguageButtons() {
+        document.querySelectorAll('.language-grid, .language-options').forEach(container => {
+            const existing = Array.from(container.querySelectorAll('[data-lang]'));
+            if (existing.length === 0) return;
             
-            // Escape to close modal
-            if (e.key === 'Escape') {
-                this.hideLanguageModal();
-            }
+            this.supportedLanguages.forEach(langCode => {
+                const button = existing[0].cloneNode(false);
+                button.dataset.lang = langCode;
+                button.lang = this.getLanguageTag(langCode);
+                button.dir = this.isRTL(langCode) ? 'rtl' : 'ltr';
+                button.textContent = this.getLanguageName(langCode);
+                container.insertBefore(button, existing[0]);
+            });
+            
+            existing.forEach(button => button.remove());
         });
     }
     
     showLanguageModal() {
         const modal = document.getElementById('languageModal');
         if (modal) {
-            modal.style.display = 'flex';
-            utils.addClass(modal, 'fade-in');
-            
-            // Set focus trap
-            utils.a11y.trapFocus(modal);
+            // Start on the current language rather than the close button
+            window.modals.open(modal, {
+                initialFocus: modal.querySelector(`.language-btn[data-lang="${this.currentLanguage}"]`)
+            });
         }
     }
     
     hideLanguageModal() {
-        const modal = document.getElementById('languageModal');
-        if (modal) {
-            modal.style.display = 'none';
-            utils.removeClass(modal, 'fade-in');
-        }
+        window.modals.close(document.getElementById('languageModal'));
     }
     
     updateLanguageUI() {
@@ -343,6 +702,16 @@ class LanguageManager {
             if (button.dataset.lang === this.currentLanguage) {
                 button.classList.add('active');
             }
+            
+            // Let people know a language is only partly translated
+            const completeness = this.locales[button.dataset.lang]?.completeness;
+            if (completeness < 100) {
+                button.title = utils.i18n.t('language_completeness', '{percent, number, percent} translated', {
+                    percent: completeness / 100
+                });
+            } else {
+                button.removeAttribute('title');
+            }
         });
     }
     
@@ -365,19 +734,18 @@ class LanguageManager {
         }
     }
     
-    // Get translation for a specific key
+    // Get translation for a specific key, formatted as an ICU message (js/message-format.js)
     t(key, params = {}) {
         const currentTranslations = this.translations[this.currentLanguage] || {};
         const fallbackTranslations = this.translations[this.fallbackLanguage] || {};
         
-        let translation = currentTranslations[key] || fallbackTranslations[key] || key;
-        
-        // Replace parameters in translation
-        Object.keys(params).forEach(param => {
-            translation = translation.replace(`{{${param}}}`, params[param]);
-        });
-        
-        return translation;
+        if (currentTranslations[key]) {
+            return utils.i18n.format(currentTranslations[key], params, this.getLanguageTag());
+        }
+        if (fallbackTranslations[key]) {
+            return utils.i18n.format(fallbackTranslations[key], params, this.getLanguageTag(this.fallbackLanguage));
+        }
+        return key;
     }
     
     // Get current language
@@ -392,13 +760,12 @@ class LanguageManager {
     
     // Get language name
     getLanguageName(langCode) {
-        return this.languageNames[langCode] || langCode;
+        return this.locales[langCode]?.name || langCode;
     }
     
     // Check if RTL language
     isRTL(langCode = this.currentLanguage) {
-        const rtlLanguages = ['ar', 'he', 'fa', 'ur'];
-        return rtlLanguages.includes(langCode);
+        return this.locales[langCode]?.dir === 'rtl';
     }
     
     // Update page direction for RTL languages
@@ -0,0 +1,193 @@
+/**
+ * Screenshot Lightbox
+ * Opens walkthrough screenshots (.dw-img) full-screen in #imageLightbox, a map-style modal
+ * with its own MapViewer for zoom, pan and pinch. Previous/next stay within the sector panel.
+ */
+
+class ImageLightbox {
+    constructor(modal, options = {}) {
+        this.modal = modal;
+        this.options = {
+            selector: '.dw-panel .dw-img',
+            swipeDistance: 50,
+            ...options
+        };
+
+        this.images = [];
+        this.index = -1;
+        this.swipe = null;
+        this.isOpen = false;
+
+        if (!this.modal || !window.MapViewer) return;
+
+        this.viewport = this.modal.querySelector('.map-viewer');
+        this.caption = this.modal.querySelector('.lightbox-caption');
+        this.counter = this.modal.querySelector('.lightbox-counter');
+        this.prevBtn = this.modal.querySelector('[data-lightbox-action="prev"]');
+        this.nextBtn = this.modal.querySelector('[data-lightbox-action="next"]');
+        this.viewer = new MapViewer(this.viewport);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.querySelectorAll(this.options.selector).forEach(image => {
+            image.tabIndex = 0;
+            image.setAttribute('role', 'button');
+            image.setAttribute('aria-haspopup', 'dialog');
+
+            image.addEventListener('click', () => this.open(image));
+            image.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open(image);
+                }
+            });
+        });
+
+        this.modal.querySelectorAll('[data-lightbox-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                switch (button.dataset.lightboxAction) {
+                    case 'prev':
+                        this.show(this.index - 1);
+                        break;
+                    case 'next':
+                        this.show(this.index + 1);
+                        break;
+                    case 'zoom-in':
+                        this.viewer.zoomIn();
+                        break;
+                    case 'zoom-out':
+                        this.viewer.zoomOut();
+                        break;
+                    case 'reset':
+                        this.viewer.reset();
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            });
+        });
+
+        // Capture phase: arrows page through images until zoomed in, then MapViewer pans
+        this.modal.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        }, true);
+
+        this.viewport.addEventListener('pointerdown', (e) => {
+            this.swipe = this.isZoomed() || this.swipe ? null : { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+        });
+
+        this.viewport.addEventListener('pointerup', (e) => {
+            this.handleSwipe(e);
+        });
+
+        this.viewport.addEventListener('pointercancel', () => {
+            this.swipe = null;
+        });
+
+        document.addEventListener('translationsapplied', () => {
+            if (this.isOpen) {
+                this.updateCaption();
+            }
+        });
+    }
+
+    open(image) {
+        const panel = image.closest('.dw-panel');
+        this.images = panel
+            ? Array.from(panel.querySelectorAll(this.options.selector))
+            : [image];
+
+        this.isOpen = true;
+
+        // Shown before loading so the viewer can measure its viewport
+        window.modals.open(this.modal, {
+            trigger: image,
+            initialFocus: this.viewport,
+            onClose: () => this.close()
+        });
+        this.show(this.images.indexOf(image));
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.swipe = null;
+        window.modals.close(this.modal);
+    }
+
+    show(index) {
+        const image = this.images[index];
+        if (!image) return;
+
+        this.index = index;
+        this.viewer.load(this.getFullSizeSrc(image), image.alt);
+
+        this.prevBtn.disabled = index === 0;
+        this.nextBtn.disabled = index === this.images.length - 1;
+        this.updateCaption();
+    }
+
+    // The original file, not a smaller responsive variant (scripts/build-images.js)
+    getFullSizeSrc(image) {
+        const picture = image.closest('picture[data-image]');
+        if (!picture) return image.currentSrc || image.src;
+
+        const manager = window.languageManager;
+        return manager ? manager.localizeImageSrc(picture.dataset.image) : picture.dataset.image;
+    }
+
+    // Captioned with the step heading the screenshot belongs to; js/main.js wraps
+    // each heading in a .dw-step-header together with its permalink
+    getStepHeading(image) {
+        let element = image.closest('picture') || image;
+        while ((element = element.previousElementSibling)) {
+            const heading = element.tagName === 'H4' ? element : element.querySelector('h4');
+            if (heading) return heading.textContent.trim();
+        }
+        return '';
+    }
+
+    updateCaption() {
+        const image = this.images[this.index];
+        if (!image) return;
+
+        this.caption.textContent = this.getStepHeading(image) || image.alt;
+        this.counter.textContent = this.images.length > 1
+            ? `${utils.format.number(this.index + 1)} / ${utils.format.number(this.images.length)}`
+            : '';
+    }
+
+    isZoomed() {
+        return this.viewer.scale > this.viewer.minScale * 1.01;
+    }
+
+    handleKeydown(e) {
+        if (this.isZoomed() || !['ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+
+        // Arrows follow the reading direction
+        const forward = (e.key === 'ArrowRight') !== utils.i18n.isRTL();
+        this.show(this.index + (forward ? 1 : -1));
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // A horizontal swipe on the fitted image pages; once zoomed in, dragging pans instead
+    handleSwipe(e) {
+        const swipe = this.swipe;
+        this.swipe = null;
+        if (!swipe || swipe.pointerId !== e.pointerId || this.isZoomed()) return;
+
+        const dx = e.clientX - swipe.x;
+        const dy = e.clientY - swipe.y;
+        if (Math.abs(dx) < this.options.swipeDistance || Math.abs(dx) < Math.abs(dy)) return;
+
+        const forward = (dx < 0) !== utils.i18n.isRTL();
+        this.show(this.index + (forward ? 1 : -1));
+    }
+}
+
+window.ImageLightbox = ImageLightbox;
@@ -25,9 +25,47 @@ class AbioticFactorGuide {
                 title: 'Level 3 - Deep Labs',
                 image: 'images/Abiotic-Factor-Guide Map-03 Level3.png',
                 description: 'Office Sector Level 3 - High-security research areas'
+            },
+            'manufacturing-west': {
+                title: 'Manufacturing West',
+                image: 'images/Abiotic-Factor-Guide Map-04 Manufacturing West.png',
+                description: 'Manufacturing West - The Blacksmith, Tram Station and Synchrotron'
+            },
+            'wildlife-pens': {
+                title: 'Cascade Laboratories - Wildlife Pens',
+                image: 'images/Abiotic-Factor-Guide Map-05 Cascade Laboratories-Wildlife Pens.png',
+                description: 'Cascade Laboratories - Wildlife Pens and specimen holding areas'
+            },
+            'primary-containment': {
+                title: 'Cascade Laboratories - Primary Containment',
+                image: 'images/Abiotic-Factor-Guide Map-06 Cascade Laboratories-Primary Containment.png',
+                description: 'Cascade Laboratories - Containment Block and Leyak Containment'
+            },
+            'defense-sector': {
+                title: 'Secure Area - Cascade Defense Sector',
+                image: 'images/Abiotic-Factor-Guide Map-07 Secure Area - Cascade Defense Sector.png',
+                description: 'Secure Area - Security Room and Vacuum Chamber'
+            },
+            'hydroplant': {
+                title: 'Hydroplant - Cascade Reservoir',
+                image: 'images/Abiotic-Factor-Guide Map-08 Hydroplant-Cascade Reservoir map.png',
+                description: 'Hydroplant - Cascade Reservoir and pump stations'
             }
         };
         
+        this.mapViewer = null;
+        this.mapMarkers = null;
+        this.currentMapId = null;
+        this.progressTracker = null;
+        this.statePanel = null;
+        this.search = null;
+        this.offlineSupport = null;
+        this.lightbox = null;
+        this.carousels = [];
+        this.videos = [];
+        this.recipes = null;
+        this.bestiary = null;
+        
         this.init();
     }
     
@@ -42,7 +80,18 @@ class AbioticFactorGuide {
             this.initNavigationEffects();
             this.initMapSystem();
             this.initImageHandling();
+            this.initLightbox();
+            this.initCarousels();
+            this.initVideos();
             this.initScrollProgress();
+            this.initRouting();
+            this.initProgressTracking();
+            this.initStateSharing();
+            this.initSearch();
+            this.initRecipes();
+            this.initBestiary();
+            this.initReviewDates();
+            this.initOfflineSupport();
             
             // Mark as initialized
             this.isInitialized = true;
@@ -90,20 +139,31 @@ class AbioticFactorGuide {
             }
         });
         
-        // Map cards
-        document.querySelectorAll('.map-card').forEach(card => {
+        // In-page links in translated text; rendered again on every language change, and
+        // with <base href="/"> the browser would otherwise leave /<lang>/ for /#section
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.rich-link[href^="#"]');
+            if (!link) return;
+            
+            const targetId = link.getAttribute('href').substring(1);
+            if (document.getElementById(targetId)) {
+                e.preventDefault();
+                this.scrollToSection(targetId);
+            }
+        });
+        
+        // Guide Map images
+        document.querySelectorAll('[data-map]').forEach(card => {
             card.addEventListener('click', (e) => {
                 e.preventDefault();
-                const mapId = this.extractMapId(card.getAttribute('onclick'));
-                this.openMapModal(mapId);
+                this.openMapModal(card.dataset.map);
             });
             
             // Add keyboard support
             card.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
-                    const mapId = this.extractMapId(card.getAttribute('onclick'));
-                    this.openMapModal(mapId);
+                    this.openMapModal(card.dataset.map);
                 }
             });
         });
@@ -116,89 +176,14 @@ class AbioticFactorGuide {
             });
         }
         
-        // Close modal on backdrop click
-        const mapModal = document.getElementById('mapModal');
-        if (mapModal) {
-            mapModal.addEventListener('click', (e) => {
-                if (e.target === mapModal) {
-                    this.closeMapModal();
+        // Detailed Walkthrough nav switching
+        document.querySelectorAll('.dw-nav-item').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const panel = this.showWalkthroughPanel(btn.dataset.target);
+                if (panel) {
+                    utils.url.setParams({ tab: this.getWalkthroughTab(panel), step: null, map: null });
                 }
             });
-        }
-        
-        // Play button functionality
-        const playButton = document.querySelector('.play-button');
-        if (playButton) {
-            playButton.addEventListener('click', () => {
-                // In a real implementation, this would open the video
-                alert('Video functionality would be implemented here');
-            });
-        }
-        
-        // YouTube link
-        const youtubeLink = document.querySelector('.youtube-link');
-        if (youtubeLink) {
-            youtubeLink.addEventListener('click', (e) => {
-                e.preventDefault();
-                window.open('https://www.youtube.com', '_blank');
-            });
-        }
-        
-        // Carousel buttons outside class
-// Detailed Walkthrough nav switching
-window.addEventListener('DOMContentLoaded',()=>{
-  const navItems=document.querySelectorAll('.dw-nav-item');
-  const panels=document.querySelectorAll('.dw-panel');
-  navItems.forEach(btn=>{
-    btn.addEventListener('click',()=>{
-      navItems.forEach(b=>b.classList.remove('active'));
-      btn.classList.add('active');
-      const target=btn.dataset.target;
-      panels.forEach(p=>p.classList.remove('active'));
-      document.getElementById(target)?.classList.add('active');
-    });
-  });
-});
-
-// Carousel buttons outside class - 支持多个轮播
-window.addEventListener('DOMContentLoaded', () => {
-    // Main Process 轮播
-    const processTrack = document.querySelector('.main-process-section .carousel-track');
-    if (processTrack) {
-        const processPrevBtn = document.querySelector('.main-process-section .carousel-btn.prev');
-        const processNextBtn = document.querySelector('.main-process-section .carousel-btn.next');
-        
-        processPrevBtn?.addEventListener('click', () => processTrack.scrollBy({left: -320, behavior: 'smooth'}));
-        processNextBtn?.addEventListener('click', () => processTrack.scrollBy({left: 320, behavior: 'smooth'}));
-    }
-    
-    // Valuation Reviews 轮播
-    const reviewsTrack = document.querySelector('.reviews-section .carousel-track');
-    if (reviewsTrack) {
-        const reviewsPrevBtn = document.querySelector('.reviews-section .carousel-btn.prev');
-        const reviewsNextBtn = document.querySelector('.reviews-section .carousel-btn.next');
-        
-        reviewsPrevBtn?.addEventListener('click', () => reviewsTrack.scrollBy({left: -340, behavior: 'smooth'}));
-        reviewsNextBtn?.addEventListener('click', () => reviewsTrack.scrollBy({left: 340, behavior: 'smooth'}));
-    }
-});
-
-// Carousel buttons (inside class for legacy)
-        const carouselTrack = document.querySelector('.carousel-track');
-        if (carouselTrack) {
-            document.querySelector('.carousel-btn.prev')?.addEventListener('click', () => {
-                carouselTrack.scrollBy({ left: -320, behavior: 'smooth' });
-            });
-            document.querySelector('.carousel-btn.next')?.addEventListener('click', () => {
-                carouselTrack.scrollBy({ left: 320, behavior: 'smooth' });
-            });
-        }
-
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeAllModals();
-            }
         });
     }
     
@@ -240,6 +225,10 @@ window.addEventListener('DOMContentLoaded', () => {
     
     handleResize() {
         // Update any size-dependent calculations
+        if (this.mapViewer && this.isModalOpen) {
+            this.mapViewer.reset();
+        }
+        
         if (this.scrollObserver) {
             this.scrollObserver.disconnect();
             this.initScrollAnimations();
@@ -323,8 +312,46 @@ window.addEventListener('DOMContentLoaded', () => {
     }
     
     initMapSystem() {
-        // Map modal functionality is handled in setupEventListeners
-        // This method can be extended for additional map features
+        // Modal open/close is handled in setupEventListeners
+        const viewport = document.getElementById('mapViewer');
+        if (!viewport || !window.MapViewer) return;
+        
+        this.mapViewer = new MapViewer(viewport);
+        
+        if (window.MapMarkerLayer) {
+            this.mapMarkers = new MapMarkerLayer(this.mapViewer, {
+                filtersContainer: document.getElementById('mapMarkerFilters'),
+                onStepLink: (stepKey) => {
+                    this.closeMapModal({ updateUrl: false });
+                    this.goToWalkthroughStep(stepKey);
+                }
+            });
+        }
+        
+        document.querySelectorAll('[data-map-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                switch (button.dataset.mapAction) {
+                    case 'zoom-in':
+                        this.mapViewer.zoomIn();
+                        break;
+                    case 'zoom-out':
+                        this.mapViewer.zoomOut();
+                        break;
+                    case 'reset':
+                        this.mapViewer.reset();
+                        break;
+                }
+            });
+        });
+        
+        // Keep an open map's title in the current language
+        document.addEventListener('translationsapplied', () => {
+            if (this.isModalOpen && this.currentMapId) {
+                const mapInfo = this.getMapInfo(this.currentMapId);
+                document.getElementById('mapModalTitle').textContent = mapInfo.title;
+                document.getElementById('mapModalImage').alt = mapInfo.title;
+            }
+        });
     }
     
     initImageHandling() {
@@ -332,6 +359,11 @@ window.addEventListener('DOMContentLoaded', () => {
         const images = document.querySelectorAll('img');
         
         images.forEach(img => {
+            // Cached images can finish before this runs
+            if (img.complete && img.naturalWidth > 0) {
+                utils.addClass(img, 'loaded');
+            }
+            
             img.addEventListener('load', () => {
                 utils.addClass(img, 'loaded');
             });
@@ -341,7 +373,8 @@ window.addEventListener('DOMContentLoaded', () => {
             });
         });
         
-        // Lazy loading for images (if needed)
+        // Lazy loading is native (loading="lazy", written by scripts/build-images.js).
+        // Images added with data-src still load when they scroll into view
         if ('IntersectionObserver' in window) {
             const lazyImages = document.querySelectorAll('img[data-src]');
             if (lazyImages.length > 0) {
@@ -360,13 +393,6 @@ window.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    // Utility method for extracting map ID from onclick attributes
-    extractMapId(onclickValue) {
-        if (!onclickValue) return '';
-        const match = onclickValue.match(/openMapModal\('([^']+)'\)/);
-        return match ? match[1] : '';
-    }
-    
     // Public methods called from HTML
     scrollToSection(sectionId) {
         utils.scrollToElement(sectionId, 80);
@@ -379,27 +405,314 @@ window.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    openMapModal(mapId) {
+    showWalkthroughPanel(panelId) {
+        const panel = document.getElementById(panelId);
+        if (!panel || !panel.classList.contains('dw-panel')) return null;
+        
+        document.querySelectorAll('.dw-nav-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.target === panelId);
+        });
+        document.querySelectorAll('.dw-panel').forEach(p => {
+            p.classList.toggle('active', p === panel);
+        });
+        
+        return panel;
+    }
+    
+    // Open the tab holding a walkthrough step (by its h4 translation key) and scroll to it
+    goToWalkthroughStep(stepKey, options = {}) {
+        const { updateUrl = true } = options;
+        const heading = document.querySelector(`.dw-panel h4[data-translate="${stepKey}"]`);
+        if (!heading) return;
+        
+        this.showWalkthroughPanel(heading.closest('.dw-panel').id);
+        this.scrollToStep(heading);
+        
+        if (updateUrl) {
+            utils.url.setParams({ ...this.getStepRoute(heading), map: null });
+        }
+    }
+    
+    scrollToStep(heading) {
+        heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        
+        utils.addClass(heading, 'dw-step-highlight');
+        utils.removeClass(heading, 'dw-step-highlight', 2000);
+    }
+    
+    getWalkthroughSteps(panel) {
+        return Array.from(panel.querySelectorAll('h4'));
+    }
+    
+    // Panel "dw-manufacture" is addressed as ?tab=manufacture
+    getWalkthroughTab(panel) {
+        return panel.id.replace(/^dw-/, '');
+    }
+    
+    // Steps are addressed by their 1-based position in the panel, matching the "3." in the heading
+    getStepRoute(heading) {
+        const panel = heading.closest('.dw-panel');
+        return {
+            tab: this.getWalkthroughTab(panel),
+            step: this.getWalkthroughSteps(panel).indexOf(heading) + 1
+        };
+    }
+    
+    initLightbox() {
+        if (!window.ImageLightbox) return;
+        
+        this.lightbox = new ImageLightbox(document.getElementById('imageLightbox'));
+    }
+    
+    // The trailer comes from data/video.json; without it the placeholder stays a link to YouTube
+    async initVideos() {
+        const containers = document.querySelectorAll('[data-video]');
+        if (!window.VideoFacade || containers.length === 0) return;
+        
+        try {
+            const response = await fetch('/data/video.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const videos = await response.json();
+            
+            this.videos = Array.from(containers)
+                .filter(container => videos[container.dataset.video])
+                .map(container => new VideoFacade(container, videos[container.dataset.video]));
+        } catch (error) {
+            console.warn('Failed to load video data:', error);
+        }
+    }
+    
+    initCarousels() {
+        if (!window.Carousel) return;
+        
+        this.carousels = Array.from(document.querySelectorAll('[data-carousel]'), root => new Carousel(root));
+    }
+    
+    // Deep links: ?tab=<panel>&step=<n> opens a walkthrough step, ?map=<id> opens a map
+    initRouting() {
+        this.addStepLinks();
+        
+        window.addEventListener('popstate', () => {
+            this.applyRoute();
+        });
+        
+        this.applyRoute({ initial: true });
+    }
+    
+    applyRoute(options = {}) {
+        const { initial = false } = options;
+        const tab = utils.url.getParam('tab');
+        const step = parseInt(utils.url.getParam('step'), 10);
+        const mapId = utils.url.getParam('map');
+        
+        if (tab) {
+            const panel = this.showWalkthroughPanel('dw-' + tab);
+            const heading = panel && step > 0 ? this.getWalkthroughSteps(panel)[step - 1] : null;
+            
+            if (heading) {
+                this.scrollToStep(heading);
+            } else if (panel && initial) {
+                this.scrollToSection('detailed-walkthrough');
+            }
+        } else if (!initial) {
+            // Navigated back to a URL without a tab: show the first one again
+            const firstTab = document.querySelector('.dw-nav-item');
+            if (firstTab) {
+                this.showWalkthroughPanel(firstTab.dataset.target);
+            }
+        }
+        
+        if (mapId && this.mapData[mapId]) {
+            if (mapId !== this.currentMapId) {
+                this.openMapModal(mapId, { updateUrl: false });
+            }
+        } else if (this.currentMapId) {
+            this.closeMapModal({ updateUrl: false });
+        }
+    }
+    
+    // Permalink next to every walkthrough step heading; clicking also copies the URL
+    addStepLinks() {
+        document.querySelectorAll('.dw-panel h4').forEach(heading => {
+            if (heading.parentElement.classList.contains('dw-step-header')) return;
+            
+            const header = document.createElement('div');
+            header.className = 'dw-step-header';
+            heading.parentNode.insertBefore(header, heading);
+            header.appendChild(heading);
+            
+            const link = document.createElement('a');
+            link.className = 'dw-step-link';
+            link.href = utils.url.build({ ...this.getStepRoute(heading), map: null });
+            link.textContent = '#';
+            link.setAttribute('aria-label', 'Copy link to this step');
+            link.title = 'Copy link to this step';
+            link.dataset.translateAttr = 'aria-label:step_link_copy;title:step_link_copy';
+            header.appendChild(link);
+            
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goToWalkthroughStep(heading.dataset.translate);
+                this.copyCurrentUrl();
+            });
+        });
+        
+        // Links are built from the current path, which changes with the language
+        document.addEventListener('guidelanguagechange', () => {
+            document.querySelectorAll('.dw-step-header').forEach(header => {
+                const heading = header.querySelector('h4');
+                const link = header.querySelector('.dw-step-link');
+                if (heading && link) {
+                    link.href = utils.url.build({ ...this.getStepRoute(heading), map: null });
+                }
+            });
+        });
+    }
+    
+    initProgressTracking() {
+        if (!window.ProgressTracker) return;
+        
+        this.progressTracker = new ProgressTracker({
+            onContinue: (stepKey) => this.goToWalkthroughStep(stepKey)
+        });
+        
+        // Deep links win over the resume prompt
+        const hasRoute = ['tab', 'step', 'map'].some(name => utils.url.getParam(name));
+        if (!hasRoute) {
+            this.progressTracker.offerResume();
+        }
+    }
+    
+    // Registered storage keys must exist before a shared link is applied
+    initStateSharing() {
+        if (!window.StatePanel) return;
+        
+        this.statePanel = new StatePanel();
+    }
+    
+    initSearch() {
+        if (!window.GuideSearch) return;
+        
+        this.search = new GuideSearch({
+            goToStep: (stepKey) => this.goToWalkthroughStep(stepKey),
+            openMap: (mapId) => this.openMapModal(mapId),
+            getMaps: () => Object.keys(this.mapData).reduce((maps, mapId) => {
+                maps[mapId] = this.getMapInfo(mapId);
+                return maps;
+            }, {})
+        });
+    }
+    
+    async initRecipes() {
+        const root = document.querySelector('[data-recipes]');
+        if (!window.RecipeBrowser || !root) return;
+        
+        try {
+            const response = await fetch('/data/recipes.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const recipes = await response.json();
+            
+            this.recipes = new RecipeBrowser(root, recipes, {
+                goToStep: (stepKey) => this.goToWalkthroughStep(stepKey),
+                openMap: (mapId) => this.openMapModal(mapId),
+                getMapTitle: (mapId) => (this.getMapInfo(mapId) || { title: mapId }).title
+            });
+        } catch (error) {
+            console.warn('Failed to load recipe data:', error);
+        }
+    }
+    
+    initBestiary() {
+        const root = document.getElementById('bestiary');
+        if (!window.Bestiary || !root) return;
+        
+        this.bestiary = new Bestiary(root, {
+            goToStep: (stepKey) => this.goToWalkthroughStep(stepKey)
+        });
+    }
+    
+    initOfflineSupport() {
+        if (!window.OfflineSupport) return;
+        
+        this.offlineSupport = new OfflineSupport();
+    }
+    
+    // Review dates are stored as <time datetime data-relative-time> and shown as "1 week ago" in the
+    // current language; scripts/build-locales.js writes the same text into the static pages
+    initReviewDates() {
+        const renderDates = () => {
+            document.querySelectorAll('time[data-relative-time][datetime]').forEach(time => {
+                const date = time.getAttribute('datetime');
+                time.textContent = utils.format.relativeTime(date);
+                time.title = utils.format.date(date, { dateStyle: 'long' });
+            });
+        };
+        
+        renderDates();
+        document.addEventListener('translationsapplied', renderDates);
+    }
+    
+    copyCurrentUrl() {
+        if (!navigator.clipboard) return;
+        
+        navigator.clipboard.writeText(window.location.href).then(() => {
+            utils.a11y.announce(utils.i18n.t('step_link_copied', 'Link copied'));
+        }).catch(error => {
+            console.warn('Could not copy link:', error);
+        });
+    }
+    
+    // mapData holds the English defaults; titles, descriptions and images follow the current language
+    getMapInfo(mapId) {
+        const map = this.mapData[mapId];
+        if (!map) return null;
+        
+        const key = `map_${mapId.replace(/-/g, '_')}`;
+        return {
+            ...map,
+            title: utils.i18n.t(`${key}_title`, map.title),
+            description: utils.i18n.t(`${key}_desc`, map.description),
+            image: window.languageManager ? window.languageManager.localizeImageSrc(map.image) : map.image
+        };
+    }
+    
+    openMapModal(mapId, options = {}) {
+        const { updateUrl = true } = options;
         const modal = document.getElementById('mapModal');
         const modalTitle = document.getElementById('mapModalTitle');
         const modalImage = document.getElementById('mapModalImage');
         
         if (!modal || !this.mapData[mapId]) return;
         
-        const mapInfo = this.mapData[mapId];
+        const mapInfo = this.getMapInfo(mapId);
         
         // Update modal content
         modalTitle.textContent = mapInfo.title;
-        modalImage.src = mapInfo.image;
-        modalImage.alt = mapInfo.title;
         
-        // Show modal
-        modal.style.display = 'flex';
-        utils.addClass(modal, 'fade-in');
+        // Show modal before loading so the viewer can measure its viewport.
+        // Focus goes to the viewer so arrow and +/- keys pan and zoom straight away
+        window.modals.open(modal, {
+            initialFocus: document.getElementById('mapViewer'),
+            onClose: () => this.closeMapModal()
+        });
         this.isModalOpen = true;
+        this.currentMapId = mapId;
         
-        // Set focus trap
-        utils.a11y.trapFocus(modal);
+        if (updateUrl) {
+            utils.url.setParams({ map: mapId });
+        }
+        
+        if (this.mapViewer) {
+            this.mapViewer.load(mapInfo.image, mapInfo.title);
+            this.mapMarkers?.show(mapId);
+        } else {
+            modalImage.src = mapInfo.image;
+            modalImage.alt = mapInfo.title;
+        }
         
         // Track map view
         if (window.gtag) {
@@ -410,24 +723,22 @@ window.addEventListener('DOMContentLoaded', () => {
         }
     }
     
-    closeMapModal() {
-        const modal = document.getElementById('mapModal');
-        if (modal) {
-            modal.style.display = 'none';
-            utils.removeClass(modal, 'fade-in');
-            this.isModalOpen = false;
+    // Also runs as the modal's onClose, when it's closed with Escape or the backdrop
+    closeMapModal(options = {}) {
+        const { updateUrl = true } = options;
+        const mapId = this.currentMapId;
+        
+        this.currentMapId = null;
+        this.isModalOpen = false;
+        window.modals.close(document.getElementById('mapModal'));
+        
+        if (mapId && updateUrl) {
+            utils.url.setParams({ map: null });
         }
     }
     
     closeAllModals() {
-        this.closeMapModal();
-        
-        const languageModal = document.getElementById('languageModal');
-        if (languageModal && languageModal.style.display !== 'none') {
-            languageModal.style.display = 'none';
-        }
-        
-        this.isModalOpen = false;
+        window.modals.closeAll();
     }
     
     // Public API
@@ -0,0 +1,324 @@
+/**
+ * Map Markers
+ * Data-driven points of interest layered on top of the map viewer.
+ * Marker data lives in data/maps/<mapId>.json, categories in data/maps/categories.json.
+ * Their label and note fields are translation keys (marker_* in languages/*.json).
+ */
+
+class MapMarkerLayer {
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.filtersContainer = options.filtersContainer || null;
+        this.onStepLink = options.onStepLink || (() => {});
+
+        this.storageKey = 'map_marker_filters';
+        this.categories = {};
+        this.markerCache = {};
+        this.hiddenCategories = new Set(utils.storage.get(this.storageKey, []) || []);
+        this.currentMapId = null;
+        this.activeMarker = null;
+
+        // Marker layer scales and pans together with the map image
+        this.layer = document.createElement('div');
+        this.layer.className = 'map-marker-layer';
+        this.viewer.stage.appendChild(this.layer);
+
+        this.popover = document.createElement('div');
+        this.popover.className = 'map-popover';
+        this.popover.setAttribute('role', 'dialog');
+        this.popover.hidden = true;
+        this.layer.appendChild(this.popover);
+
+        window.guideState?.register(this.storageKey, {
+            label: 'Hidden map markers',
+            labelKey: 'state_label_map_marker_filters',
+            validate: (value) => Array.isArray(value) && value.every(id => typeof id === 'string'),
+            merge: (current, incoming) => Array.from(new Set([...current, ...incoming])),
+            describe: (value) => value.map(categoryId => this.getCategoryLabel(categoryId)).join(', ')
+        });
+
+        this.bindEvents();
+        // Also names the hidden categories in an import summary before any map is opened
+        this.loadCategories();
+    }
+
+    bindEvents() {
+        document.addEventListener('guidestatechange', (e) => {
+            if (!e.detail.keys.includes(this.storageKey)) return;
+
+            this.hiddenCategories = new Set(utils.storage.get(this.storageKey, []) || []);
+            if (this.filtersContainer) {
+                this.filtersContainer.querySelectorAll('.map-filter-btn').forEach(button => {
+                    button.setAttribute('aria-pressed', String(!this.hiddenCategories.has(button.dataset.category)));
+                });
+            }
+            this.applyFilters();
+        });
+
+        this.layer.addEventListener('click', (e) => {
+            const marker = e.target.closest('.map-marker');
+            if (marker) {
+                this.togglePopover(marker);
+            }
+        });
+
+        this.viewer.viewport.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.popover.hidden) {
+                e.stopPropagation();
+                this.closePopover();
+            }
+        });
+
+        document.addEventListener('translationsapplied', () => {
+            if (this.currentMapId) {
+                this.show(this.currentMapId);
+            }
+        });
+    }
+
+    getLabel(data) {
+        return utils.i18n.t(data.label, data.id);
+    }
+
+    getCategoryLabel(categoryId) {
+        const category = this.categories[categoryId];
+        return category && category.label ? utils.i18n.t(category.label, categoryId) : categoryId;
+    }
+
+    async loadCategories() {
+        if (Object.keys(this.categories).length > 0) {
+            return this.categories;
+        }
+
+        try {
+            const response = await fetch('/data/maps/categories.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.categories = await response.json();
+        } catch (error) {
+            console.warn('Failed to load map marker categories:', error);
+        }
+
+        return this.categories;
+    }
+
+    async loadMarkers(mapId) {
+        if (this.markerCache[mapId]) {
+            return this.markerCache[mapId];
+        }
+
+        try {
+            const response = await fetch(`/data/maps/${mapId}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.markerCache[mapId] = Array.isArray(data.markers) ? data.markers : [];
+        } catch (error) {
+            console.warn(`Failed to load markers for map ${mapId}:`, error);
+            this.markerCache[mapId] = [];
+        }
+
+        return this.markerCache[mapId];
+    }
+
+    async show(mapId) {
+        this.currentMapId = mapId;
+        this.clear();
+
+        const [, markers] = await Promise.all([
+            this.loadCategories(),
+            this.loadMarkers(mapId)
+        ]);
+
+        // Another map may have been opened while we were fetching
+        if (this.currentMapId !== mapId) return;
+
+        markers.forEach(marker => {
+            this.layer.appendChild(this.createMarker(marker));
+        });
+
+        this.renderFilters(markers);
+        this.applyFilters();
+    }
+
+    clear() {
+        this.closePopover();
+        this.layer.querySelectorAll('.map-marker').forEach(marker => marker.remove());
+        if (this.filtersContainer) {
+            this.filtersContainer.innerHTML = '';
+        }
+    }
+
+    createMarker(data) {
+        const category = this.categories[data.category] || {};
+        const label = this.getLabel(data);
+        const marker = document.createElement('button');
+
+        marker.type = 'button';
+        marker.className = 'map-marker';
+        marker.dataset.markerId = data.id;
+        marker.dataset.category = data.category;
+        marker.style.left = data.x + '%';
+        marker.style.top = data.y + '%';
+        marker.setAttribute('aria-label', `${label} (${this.getCategoryLabel(data.category)})`);
+        marker.setAttribute('aria-expanded', 'false');
+        marker.title = label;
+        if (category.color) {
+            marker.style.setProperty('--marker-color', category.color);
+        }
+
+        const icon = document.createElement('span');
+        icon.className = 'map-marker-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = category.icon || '•';
+        marker.appendChild(icon);
+
+        marker.markerData = data;
+        return marker;
+    }
+
+    renderFilters(markers) {
+        if (!this.filtersContainer) return;
+
+        // Only offer toggles for categories that exist on this map
+        const present = Array.from(new Set(markers.map(marker => marker.category)));
+
+        present.forEach(categoryId => {
+            const category = this.categories[categoryId] || {};
+            const button = document.createElement('button');
+            const count = markers.filter(marker => marker.category === categoryId).length;
+
+            button.type = 'button';
+            button.className = 'map-filter-btn';
+            button.dataset.category = categoryId;
+            button.setAttribute('aria-pressed', String(!this.hiddenCategories.has(categoryId)));
+            button.textContent = `${category.icon || '•'} ${this.getCategoryLabel(categoryId)} (${utils.format.number(count)})`;
+            if (category.color) {
+                button.style.setProperty('--marker-color', category.color);
+            }
+
+            button.addEventListener('click', () => {
+                this.toggleCategory(categoryId);
+                button.setAttribute('aria-pressed', String(!this.hiddenCategories.has(categoryId)));
+            });
+
+            this.filtersContainer.appendChild(button);
+        });
+    }
+
+    toggleCategory(categoryId) {
+        if (this.hiddenCategories.has(categoryId)) {
+            this.hiddenCategories.delete(categoryId);
+        } else {
+            this.hiddenCategories.add(categoryId);
+        }
+        utils.storage.set(this.storageKey, Array.from(this.hiddenCategories));
+        this.applyFilters();
+    }
+
+    applyFilters() {
+        this.layer.querySelectorAll('.map-marker').forEach(marker => {
+            marker.hidden = this.hiddenCategories.has(marker.dataset.category);
+        });
+
+        if (this.activeMarker && this.activeMarker.hidden) {
+            this.closePopover();
+        }
+    }
+
+    togglePopover(marker) {
+        if (this.activeMarker === marker) {
+            this.closePopover();
+            return;
+        }
+        this.openPopover(marker);
+    }
+
+    openPopover(marker) {
+        this.closePopover();
+
+        const data = marker.markerData;
+        const step = this.getStepContent(data.step);
+
+        this.popover.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'map-popover-header';
+
+        const title = document.createElement('h3');
+        title.textContent = this.getLabel(data);
+        header.appendChild(title);
+
+        const badge = document.createElement('span');
+        badge.className = 'map-popover-category';
+        badge.textContent = this.getCategoryLabel(data.category);
+        header.appendChild(badge);
+
+        this.popover.appendChild(header);
+
+        if (data.note) {
+            const note = document.createElement('p');
+            note.className = 'map-popover-note';
+            note.textContent = utils.i18n.t(data.note, '');
+            this.popover.appendChild(note);
+        }
+
+        if (step) {
+            const stepTitle = document.createElement('h4');
+            stepTitle.textContent = step.title;
+            this.popover.appendChild(stepTitle);
+
+            if (step.text) {
+                const text = document.createElement('p');
+                text.textContent = utils.format.text(step.text, 220);
+                this.popover.appendChild(text);
+            }
+
+            const link = document.createElement('a');
+            link.className = 'map-popover-link';
+            link.href = '#detailed-walkthrough';
+            link.textContent = `${utils.i18n.t('map_open_step', 'Open walkthrough step')} ${utils.i18n.isRTL() ? '←' : '→'}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.onStepLink(data.step);
+            });
+            this.popover.appendChild(link);
+        }
+
+        this.popover.style.left = data.x + '%';
+        this.popover.style.top = data.y + '%';
+        this.popover.hidden = false;
+
+        marker.setAttribute('aria-expanded', 'true');
+        utils.addClass(marker, 'active');
+        this.activeMarker = marker;
+    }
+
+    closePopover() {
+        this.popover.hidden = true;
+
+        if (this.activeMarker) {
+            this.activeMarker.setAttribute('aria-expanded', 'false');
+            utils.removeClass(this.activeMarker, 'active');
+            this.activeMarker = null;
+        }
+    }
+
+    // Walkthrough text comes from the page itself so it follows the current language
+    getStepContent(stepKey) {
+        if (!stepKey) return null;
+
+        const heading = document.querySelector(`.dw-panel h4[data-translate="${stepKey}"]`);
+        if (!heading) return null;
+
+        const description = document.querySelector(`.dw-panel [data-translate="${stepKey}_desc"]`);
+        return {
+            title: heading.textContent.trim(),
+            text: description ? description.textContent.replace(/\s+/g, ' ').trim() : ''
+        };
+    }
+}
+
+window.MapMarkerLayer = MapMarkerLayer;
@@ -0,0 +1,237 @@
+/**
+ * Map Viewer
+ * Pan and zoom handling for the Guide Map modal
+ */
+
+class MapViewer {
+    constructor(viewport, options = {}) {
+        this.viewport = viewport;
+        this.stage = viewport.querySelector('.map-viewer-stage');
+        this.image = viewport.querySelector('.modal-map-image');
+
+        this.options = {
+            maxZoom: 4,       // Relative to the image's natural size
+            zoomStep: 1.25,
+            panStep: 60,
+            ...options
+        };
+
+        this.scale = 1;
+        this.minScale = 1;
+        this.maxScale = this.options.maxZoom;
+        this.x = 0;
+        this.y = 0;
+
+        // Active pointers, keyed by pointerId, for drag and pinch gestures
+        this.pointers = new Map();
+        this.pinchDistance = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.image.addEventListener('load', () => {
+            this.reset();
+        });
+
+        this.viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const factor = e.deltaY < 0 ? this.options.zoomStep : 1 / this.options.zoomStep;
+            const point = this.getViewportPoint(e.clientX, e.clientY);
+            this.zoomTo(this.scale * factor, point.x, point.y);
+        }, { passive: false });
+
+        this.viewport.addEventListener('pointerdown', (e) => {
+            // Leave clicks on markers and popovers alone
+            if (this.isInteractiveTarget(e.target)) return;
+            this.viewport.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.pinchDistance = this.getPinchDistance();
+            utils.addClass(this.viewport, 'is-dragging');
+        });
+
+        this.viewport.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.handlePointerMove(e);
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.viewport.addEventListener(type, (e) => {
+                this.pointers.delete(e.pointerId);
+                this.pinchDistance = this.getPinchDistance();
+                if (this.pointers.size === 0) {
+                    utils.removeClass(this.viewport, 'is-dragging');
+                }
+            });
+        });
+
+        this.viewport.addEventListener('dblclick', (e) => {
+            if (this.isInteractiveTarget(e.target)) return;
+            this.reset();
+        });
+
+        this.viewport.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        });
+    }
+
+    handlePointerMove(e) {
+        const previous = this.pointers.get(e.pointerId);
+        const current = { x: e.clientX, y: e.clientY };
+        this.pointers.set(e.pointerId, current);
+
+        if (this.pointers.size === 1) {
+            this.panBy(current.x - previous.x, current.y - previous.y);
+            return;
+        }
+
+        // Pinch: zoom around the midpoint of the two active pointers
+        const distance = this.getPinchDistance();
+        if (this.pinchDistance > 0 && distance > 0) {
+            const [a, b] = Array.from(this.pointers.values());
+            const mid = this.getViewportPoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+            this.zoomTo(this.scale * (distance / this.pinchDistance), mid.x, mid.y);
+        }
+        this.pinchDistance = distance;
+    }
+
+    handleKeydown(e) {
+        const step = this.options.panStep;
+        const center = this.getViewportCenter();
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                this.panBy(step, 0);
+                break;
+            case 'ArrowRight':
+                this.panBy(-step, 0);
+                break;
+            case 'ArrowUp':
+                this.panBy(0, step);
+                break;
+            case 'ArrowDown':
+                this.panBy(0, -step);
+                break;
+            case '+':
+            case '=':
+                this.zoomTo(this.scale * this.options.zoomStep, center.x, center.y);
+                break;
+            case '-':
+            case '_':
+                this.zoomTo(this.scale / this.options.zoomStep, center.x, center.y);
+                break;
+            case '0':
+                this.reset();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    // Load a new map image; the view resets once it has loaded
+    load(src, alt = '') {
+        this.image.alt = alt;
+        if (this.image.getAttribute('src') === src && this.image.complete) {
+            this.reset();
+            return;
+        }
+        this.image.src = src;
+    }
+
+    // Fit the whole map inside the viewport and center it
+    reset() {
+        const { naturalWidth, naturalHeight } = this.image;
+        if (!naturalWidth || !naturalHeight) return;
+
+        this.stage.style.width = naturalWidth + 'px';
+        this.stage.style.height = naturalHeight + 'px';
+
+        const fit = Math.min(
+            this.viewport.clientWidth / naturalWidth,
+            this.viewport.clientHeight / naturalHeight
+        );
+
+        this.minScale = fit;
+        this.maxScale = Math.max(fit, 1) * this.options.maxZoom;
+        this.scale = fit;
+        this.x = 0;
+        this.y = 0;
+        this.render();
+    }
+
+    zoomIn() {
+        const center = this.getViewportCenter();
+        this.zoomTo(this.scale * this.options.zoomStep, center.x, center.y);
+    }
+
+    zoomOut() {
+        const center = this.getViewportCenter();
+        this.zoomTo(this.scale / this.options.zoomStep, center.x, center.y);
+    }
+
+    // Zoom while keeping the map point under (originX, originY) in place
+    zoomTo(scale, originX, originY) {
+        const newScale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+        const ratio = newScale / this.scale;
+
+        this.x = originX - (originX - this.x) * ratio;
+        this.y = originY - (originY - this.y) * ratio;
+        this.scale = newScale;
+        this.render();
+    }
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.render();
+    }
+
+    // Keep the map covering the viewport, or centered when it is smaller
+    clampPosition() {
+        const viewWidth = this.viewport.clientWidth;
+        const viewHeight = this.viewport.clientHeight;
+        const width = this.image.naturalWidth * this.scale;
+        const height = this.image.naturalHeight * this.scale;
+
+        this.x = width <= viewWidth
+            ? (viewWidth - width) / 2
+            : Math.min(0, Math.max(viewWidth - width, this.x));
+        this.y = height <= viewHeight
+            ? (viewHeight - height) / 2
+            : Math.min(0, Math.max(viewHeight - height, this.y));
+    }
+
+    render() {
+        this.clampPosition();
+        this.stage.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.viewport.style.setProperty('--map-scale', this.scale);
+
+        const zoomLevel = this.viewport.parentElement.querySelector('.map-zoom-level');
+        if (zoomLevel) {
+            zoomLevel.textContent = utils.format.number(this.scale / this.minScale, { style: 'percent', maximumFractionDigits: 0 });
+        }
+    }
+
+    getViewportPoint(clientX, clientY) {
+        const rect = this.viewport.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    getViewportCenter() {
+        return { x: this.viewport.clientWidth / 2, y: this.viewport.clientHeight / 2 };
+    }
+
+    isInteractiveTarget(target) {
+        return Boolean(target.closest('button, a, .map-popover'));
+    }
+
+    getPinchDistance() {
+        if (this.pointers.size < 2) return 0;
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
+
+window.MapViewer = MapViewer;
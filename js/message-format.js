@@ -0,0 +1,242 @@
+/**
+ * Message Format
+ * ICU-style message formatting for locale strings, built on Intl.
+ *
+ *   {name}                                      plain argument
+ *   {count, number}  {ratio, number, percent}   Intl.NumberFormat (also "integer")
+ *   {when, date, short}  {when, time, short}    Intl.DateTimeFormat (short/medium/long/full)
+ *   {count, plural, =0 {none} one {# step} other {# steps}}
+ *   {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ *   {gender, select, female {her} male {his} other {their}}
+ *
+ * Plural categories come from Intl.PluralRules, so ru gets one/few/many/other and
+ * ja/ko/zh only "other". Inside plural branches "#" is the locale-formatted number.
+ * The older "{{name}}" form is still accepted. A "{" that doesn't start a valid
+ * argument is kept as text. Also loaded by the scripts in scripts/ under Node.
+ */
+
+const messageFormat = {
+    cache: new Map(),
+
+    format(message, params = {}, locale = 'en') {
+        const parts = this.parse(message);
+        return this.formatParts(parts, params, locale, null);
+    },
+
+    // Names of every argument used by a message, e.g. for checking translations
+    getArguments(message) {
+        const names = new Set();
+
+        const collect = (parts) => {
+            parts.forEach(part => {
+                if (typeof part === 'string' || part.type === 'pound') return;
+                names.add(part.name);
+                Object.values(part.options || {}).forEach(collect);
+            });
+        };
+
+        collect(this.parse(message));
+        return Array.from(names);
+    },
+
+    parse(message) {
+        const source = String(message == null ? '' : message);
+        if (this.cache.has(source)) {
+            return this.cache.get(source);
+        }
+
+        const parts = this.parseParts(source, 0, false).parts;
+
+        this.cache.set(source, parts);
+        return parts;
+    },
+
+    // Returns { parts, end }; stops at an unmatched "}" when nested
+    parseParts(text, start, nested, inPlural = false) {
+        const parts = [];
+        let buffer = '';
+        let i = start;
+
+        const flush = () => {
+            if (buffer) {
+                parts.push(buffer);
+                buffer = '';
+            }
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '}' && nested) {
+                flush();
+                return { parts, end: i };
+            }
+
+            if (char === '#' && inPlural) {
+                flush();
+                parts.push({ type: 'pound' });
+                i++;
+                continue;
+            }
+
+            // Legacy "{{name}}" placeholder
+            const legacy = char === '{' ? /^\{\{\s*([\w.-]+)\s*\}\}/.exec(text.slice(i)) : null;
+            if (legacy) {
+                flush();
+                parts.push({ type: 'argument', name: legacy[1] });
+                i += legacy[0].length;
+                continue;
+            }
+
+            if (char === '{') {
+                const argument = this.parseArgument(text, i);
+                if (argument) {
+                    flush();
+                    parts.push(argument.node);
+                    i = argument.end + 1;
+                    continue;
+                }
+            }
+
+            buffer += char;
+            i++;
+        }
+
+        flush();
+        return { parts, end: nested ? -1 : i };
+    },
+
+    // "{name, type, style}" or "{name, plural|select|selectordinal, options}" starting at text[start]
+    parseArgument(text, start) {
+        const header = /^\{\s*([\w.-]+)\s*(?:,\s*(number|date|time|plural|selectordinal|select)\s*(?:,\s*)?)?/.exec(text.slice(start));
+        if (!header) return null;
+
+        const [matched, name, type] = header;
+        let i = start + matched.length;
+
+        if (!type) {
+            return text[i] === '}' ? { node: { type: 'argument', name }, end: i } : null;
+        }
+
+        if (['number', 'date', 'time'].includes(type)) {
+            const end = text.indexOf('}', i);
+            if (end === -1) return null;
+            return { node: { type, name, style: text.slice(i, end).trim() }, end };
+        }
+
+        // Option list: selector {message} selector {message} ...
+        const node = { type, name, offset: 0, options: {} };
+        const isPlural = type !== 'select';
+
+        while (i < text.length) {
+            while (/\s/.test(text[i])) i++;
+
+            if (text[i] === '}') {
+                return 'other' in node.options ? { node, end: i } : null;
+            }
+
+            const offset = /^offset:\s*(\d+)/.exec(text.slice(i));
+            if (offset && isPlural) {
+                node.offset = Number(offset[1]);
+                i += offset[0].length;
+                continue;
+            }
+
+            const selector = /^(=\d+|[\w-]+)\s*\{/.exec(text.slice(i));
+            if (!selector) return null;
+
+            const branch = this.parseParts(text, i + selector[0].length, true, isPlural);
+            if (branch.end === -1) return null;
+
+            node.options[selector[1]] = branch.parts;
+            i = branch.end + 1;
+        }
+
+        return null;
+    },
+
+    formatParts(parts, params, locale, pluralValue) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+            return this.formatArgument(part, params, locale, pluralValue);
+        }).join('');
+    },
+
+    formatArgument(part, params, locale, pluralValue) {
+        if (part.type === 'pound') {
+            return pluralValue === null ? '#' : this.formatNumber(pluralValue, '', locale);
+        }
+
+        const value = params[part.name];
+
+        switch (part.type) {
+            case 'number':
+                return this.formatNumber(value, part.style, locale);
+            case 'date':
+            case 'time':
+                return this.formatDate(value, part.type, part.style, locale);
+            case 'plural':
+            case 'selectordinal': {
+                const number = Number(value);
+                const exact = part.options[`=${number}`];
+                if (exact) {
+                    return this.formatParts(exact, params, locale, number - part.offset);
+                }
+
+                const rules = new Intl.PluralRules(locale, { type: part.type === 'plural' ? 'cardinal' : 'ordinal' });
+                const category = rules.select(number - part.offset);
+                const branch = part.options[category] || part.options.other;
+                return this.formatParts(branch, params, locale, number - part.offset);
+            }
+            case 'select': {
+                const branch = part.options[String(value)] || part.options.other;
+                return this.formatParts(branch, params, locale, pluralValue);
+            }
+            default:
+                // Missing arguments stay visible instead of printing "undefined"
+                return value === undefined || value === null ? `{${part.name}}` : String(value);
+        }
+    },
+
+    formatNumber(value, style, locale) {
+        const options = {
+            percent: { style: 'percent' },
+            integer: { maximumFractionDigits: 0 }
+        }[style] || {};
+
+        const number = Number(value);
+        return Number.isFinite(number) ? new Intl.NumberFormat(locale, options).format(number) : String(value);
+    },
+
+    formatDate(value, type, style, locale) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return String(value);
+
+        const length = ['short', 'medium', 'long', 'full'].includes(style) ? style : 'medium';
+        const options = type === 'date' ? { dateStyle: length } : { timeStyle: length };
+        return new Intl.DateTimeFormat(locale, options).format(date);
+    },
+
+    // "3 days ago", "il y a 1 semaine", "1週間前" - picks the largest sensible unit
+    formatRelativeTime(value, locale, now = Date.now()) {
+        const seconds = Math.round((new Date(value).getTime() - new Date(now).getTime()) / 1000);
+        const units = [
+            ['year', 31536000],
+            ['month', 2592000],
+            ['week', 604800],
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60],
+            ['second', 1]
+        ];
+        const [unit, size] = units.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || units[units.length - 1];
+
+        return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = messageFormat;
+} else {
+    window.messageFormat = messageFormat;
+}
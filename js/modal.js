@@ -0,0 +1,207 @@
+/**
+ * Modal Dialogs
+ * Every modal (language, save & share, map, screenshot lightbox) opens and closes through
+ * window.modals: dialog semantics, focus trap and focus return, scroll lock, an inert page
+ * behind the top modal, and Escape or a backdrop click closing only the modal on top.
+ * A modal is a full-screen backdrop element around its content, hidden with display: none.
+ */
+
+class ModalManager {
+    constructor() {
+        // Open modals, the top one last: { modal, trigger, onClose }
+        this.stack = [];
+        this.inertElements = [];
+        this.hideTimers = new Map();
+        this.pressedBackdrop = null;
+        this.transitionDuration = 200;
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.stack.length > 0 && !e.defaultPrevented) {
+                e.preventDefault();
+                this.closeTop();
+            }
+        });
+
+        // pointerdown as well, so selecting text in a modal and releasing over the backdrop doesn't close it
+        document.addEventListener('pointerdown', (e) => {
+            this.pressedBackdrop = this.isOpen(e.target) ? e.target : null;
+        });
+
+        document.addEventListener('click', (e) => {
+            const top = this.getTop();
+            if (top && e.target === top && this.pressedBackdrop === top) {
+                this.close(top);
+            }
+        });
+    }
+
+    /**
+     * @param {HTMLElement} modal
+     * @param {object} [options]
+     * @param {HTMLElement} [options.trigger]       gets focus back on close, defaults to the focused element
+     * @param {HTMLElement} [options.initialFocus]  focused on open instead of the first focusable element
+     * @param {Function}    [options.onClose]       called once the modal is closed, however that happened
+     */
+    open(modal, options = {}) {
+        if (!modal) return;
+
+        const existing = this.stack.find(entry => entry.modal === modal);
+        if (existing) {
+            // Already open: bring it to the top
+            this.stack.splice(this.stack.indexOf(existing), 1);
+            this.stack.push(existing);
+        } else {
+            this.stack.push({
+                modal,
+                trigger: options.trigger || document.activeElement,
+                onClose: options.onClose || null
+            });
+        }
+
+        this.prepare(modal);
+        clearTimeout(this.hideTimers.get(modal));
+        this.hideTimers.delete(modal);
+
+        modal.style.display = 'flex';
+        modal.style.zIndex = this.stack.length > 1 ? `calc(var(--z-modal) + ${this.stack.length - 1})` : '';
+        // Reflow first, or the opening transition is skipped
+        void modal.offsetWidth;
+        utils.addClass(modal, 'is-open');
+
+        this.lockScroll();
+        this.updateInert();
+
+        utils.a11y.trapFocus(modal);
+        if (options.initialFocus) {
+            options.initialFocus.focus();
+        } else if (!modal.contains(document.activeElement)) {
+            modal.focus();
+        }
+    }
+
+    close(modal) {
+        const entry = this.stack.find(item => item.modal === modal);
+        if (!entry) return;
+
+        this.stack.splice(this.stack.indexOf(entry), 1);
+        utils.removeClass(modal, 'is-open');
+        this.hideAfterTransition(modal);
+
+        this.updateInert();
+        if (this.stack.length === 0) {
+            this.unlockScroll();
+        }
+
+        // Back to where the player was, unless that's gone or behind another modal
+        const top = this.getTop();
+        if (entry.trigger && entry.trigger.isConnected && (!top || top.contains(entry.trigger))) {
+            entry.trigger.focus();
+        } else if (top && !top.contains(document.activeElement)) {
+            top.focus();
+        }
+
+        if (entry.onClose) {
+            entry.onClose();
+        }
+    }
+
+    closeTop() {
+        this.close(this.getTop());
+    }
+
+    closeAll() {
+        while (this.stack.length > 0) {
+            this.closeTop();
+        }
+    }
+
+    isOpen(modal) {
+        return this.stack.some(entry => entry.modal === modal);
+    }
+
+    getTop() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1].modal : null;
+    }
+
+    // Dialog semantics for modals whose markup doesn't have them
+    prepare(modal) {
+        if (!modal.hasAttribute('role')) {
+            modal.setAttribute('role', 'dialog');
+        }
+        modal.setAttribute('aria-modal', 'true');
+
+        if (!modal.hasAttribute('aria-labelledby') && !modal.hasAttribute('aria-label')) {
+            const heading = modal.querySelector('h1, h2, h3');
+            if (heading) {
+                heading.id = heading.id || `${modal.id || 'modal'}Title`;
+                modal.setAttribute('aria-labelledby', heading.id);
+            }
+        }
+
+        // Focusable from script only, for modals without any focusable element
+        if (!modal.hasAttribute('tabindex')) {
+            modal.tabIndex = -1;
+        }
+    }
+
+    hideAfterTransition(modal) {
+        const hide = () => {
+            clearTimeout(this.hideTimers.get(modal));
+            this.hideTimers.delete(modal);
+            modal.removeEventListener('transitionend', onEnd);
+            modal.style.display = 'none';
+            modal.style.zIndex = '';
+        };
+        const onEnd = (e) => {
+            if (e.target === modal) hide();
+        };
+
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            hide();
+            return;
+        }
+
+        modal.addEventListener('transitionend', onEnd);
+        // transitionend never fires if nothing was animating
+        this.hideTimers.set(modal, setTimeout(hide, this.transitionDuration + 50));
+    }
+
+    // Everything outside the top modal is inert: no focus, clicks or screen reader browsing
+    updateInert() {
+        this.inertElements.forEach(element => {
+            element.inert = false;
+        });
+        this.inertElements = [];
+
+        const top = this.getTop();
+        if (!top) return;
+
+        for (let element = top; element && element !== document.body; element = element.parentElement) {
+            const parent = element.parentElement;
+            if (!parent) break;
+
+            Array.from(parent.children).forEach(sibling => {
+                if (sibling === element || sibling.inert || ['SCRIPT', 'STYLE', 'LINK'].includes(sibling.tagName)) return;
+                sibling.inert = true;
+                this.inertElements.push(sibling);
+            });
+        }
+    }
+
+    // The scrollbar's width is padded back so the page doesn't shift sideways
+    lockScroll() {
+        if (document.body.classList.contains('modal-open')) return;
+
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        document.body.style.setProperty('--scrollbar-width', `${scrollbarWidth}px`);
+        utils.addClass(document.body, 'modal-open');
+    }
+
+    unlockScroll() {
+        utils.removeClass(document.body, 'modal-open');
+        document.body.style.removeProperty('--scrollbar-width');
+    }
+}
+
+window.ModalManager = ModalManager;
+window.modals = new ModalManager();
@@ -0,0 +1,121 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js) and offers to reload when a new version of the guide
+ * has been downloaded. The new version only takes over after the player agrees, so a page
+ * that's open at a LAN party never changes underneath them.
+ */
+
+class OfflineSupport {
+    constructor() {
+        this.registration = null;
+        this.prompt = null;
+        this.reloading = false;
+
+        if (!('serviceWorker' in navigator)) return;
+
+        // Registering after load keeps the precache from competing with the page's own requests
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register(), { once: true });
+        }
+    }
+
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return;
+        }
+
+        // A version downloaded during an earlier visit is still waiting
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt();
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) return;
+            this.reloading = true;
+            window.location.reload();
+        });
+
+        // The guide often stays open for hours, look for a new version when it's shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.registration.update().catch(() => {});
+            }
+        });
+
+        document.addEventListener('translationsapplied', () => this.updatePromptText());
+    }
+
+    showUpdatePrompt() {
+        if (this.prompt) return;
+
+        this.prompt = document.createElement('div');
+        this.prompt.className = 'update-prompt';
+        this.prompt.setAttribute('role', 'status');
+
+        const message = document.createElement('span');
+        message.className = 'update-prompt-message';
+
+        const reloadBtn = document.createElement('button');
+        reloadBtn.type = 'button';
+        reloadBtn.className = 'progress-btn update-prompt-reload';
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'close-btn';
+        dismissBtn.innerHTML = '&times;';
+
+        reloadBtn.addEventListener('click', () => {
+            reloadBtn.disabled = true;
+            this.applyUpdate();
+        });
+        dismissBtn.addEventListener('click', () => {
+            this.prompt.remove();
+            this.prompt = null;
+        });
+
+        this.prompt.appendChild(message);
+        this.prompt.appendChild(reloadBtn);
+        this.prompt.appendChild(dismissBtn);
+        document.body.appendChild(this.prompt);
+
+        this.updatePromptText();
+        utils.addClass(this.prompt, 'fade-in-up');
+    }
+
+    updatePromptText() {
+        if (!this.prompt) return;
+
+        this.prompt.querySelector('.update-prompt-message').textContent = utils.i18n.t('update_available', 'New guide version available');
+        this.prompt.querySelector('.update-prompt-reload').textContent = utils.i18n.t('update_reload', 'Reload');
+        this.prompt.querySelector('.close-btn').setAttribute('aria-label', utils.i18n.t('progress_dismiss', 'Dismiss'));
+    }
+
+    // The waiting worker activates, controllerchange then reloads the page
+    applyUpdate() {
+        const worker = this.registration && this.registration.waiting;
+        if (worker) {
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        } else {
+            window.location.reload();
+        }
+    }
+}
+
+window.OfflineSupport = OfflineSupport;
@@ -0,0 +1,297 @@
+/**
+ * Walkthrough Progress Tracking
+ * Per-player "done" checkboxes for walkthrough steps and Main Process cards
+ */
+
+class ProgressTracker {
+    constructor(options = {}) {
+        this.storageKey = 'walkthrough_progress';
+        this.onContinue = options.onContinue || (() => {});
+
+        // Completed steps, keyed by the step heading's translation key
+        this.state = utils.storage.get(this.storageKey, {}) || {};
+
+        window.guideState?.register(this.storageKey, {
+            label: 'Walkthrough progress',
+            labelKey: 'state_label_walkthrough_progress',
+            validate: (value) => window.guideState.isPlainObject(value)
+                && Object.values(value).every(done => done === true),
+            describe: (value) => utils.i18n.t('state_progress_steps', '{count, plural, one {# completed step} other {# completed steps}}', {
+                count: Object.keys(value).length
+            })
+        });
+
+        this.init();
+    }
+
+    init() {
+        this.addStepCheckboxes();
+        this.addProcessCheckboxes();
+        this.addPanelProgress();
+        this.addToolbar();
+        this.updateProgress();
+
+        document.addEventListener('translationsapplied', () => {
+            this.refreshLabels();
+        });
+
+        document.addEventListener('guidestatechange', (e) => {
+            if (e.detail.keys.includes(this.storageKey)) {
+                this.reload();
+            }
+        });
+    }
+
+    refreshLabels() {
+        const markDone = utils.i18n.t('progress_mark_done', 'Mark as done');
+        document.querySelectorAll('.step-done-toggle').forEach(label => {
+            label.title = markDone;
+            label.querySelector('.sr-only').textContent = markDone;
+        });
+
+        const continueText = utils.i18n.t('progress_continue', 'Continue where you left off');
+        document.querySelectorAll('.progress-continue, .progress-resume-continue').forEach(button => {
+            button.textContent = continueText;
+        });
+        document.querySelectorAll('.progress-reset').forEach(button => {
+            button.textContent = utils.i18n.t('progress_reset', 'Reset progress');
+        });
+        document.querySelectorAll('.progress-resume-message').forEach(message => {
+            message.textContent = utils.i18n.t('progress_resume_prompt', 'Welcome back! Pick up the walkthrough where you left off?');
+        });
+
+        this.updateProgress();
+    }
+
+    addStepCheckboxes() {
+        document.querySelectorAll('.dw-panel h4[data-translate]').forEach(heading => {
+            // Headings are wrapped in .dw-step-header by the router; the checkbox
+            // must live outside the heading because translations replace its text
+            const toggle = this.createToggle(heading.dataset.translate, () => heading.textContent.trim());
+            heading.parentNode.insertBefore(toggle, heading);
+        });
+    }
+
+    addProcessCheckboxes() {
+        document.querySelectorAll('.process-step').forEach(step => {
+            const title = step.querySelector('.step-title[data-translate]');
+            if (!title) return;
+
+            const toggle = this.createToggle(title.dataset.translate, () => title.textContent.trim());
+            step.insertBefore(toggle, step.firstChild);
+        });
+    }
+
+    createToggle(stepKey, getTitle) {
+        const label = document.createElement('label');
+        label.className = 'step-done-toggle';
+        label.title = utils.i18n.t('progress_mark_done', 'Mark as done');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.progressKey = stepKey;
+        checkbox.checked = Boolean(this.state[stepKey]);
+
+        const text = document.createElement('span');
+        text.className = 'sr-only';
+        text.textContent = utils.i18n.t('progress_mark_done', 'Mark as done');
+
+        checkbox.addEventListener('change', () => {
+            this.setDone(stepKey, checkbox.checked);
+            utils.a11y.announce(`${getTitle()}: ${checkbox.checked
+                ? utils.i18n.t('progress_done', 'done')
+                : utils.i18n.t('progress_not_done', 'not done')}`);
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        return label;
+    }
+
+    addPanelProgress() {
+        document.querySelectorAll('.dw-panel').forEach(panel => {
+            if (!panel.querySelector('[data-progress-key]')) return;
+
+            const progress = document.createElement('div');
+            progress.className = 'dw-progress';
+            progress.setAttribute('role', 'progressbar');
+            progress.setAttribute('aria-valuemin', '0');
+
+            const bar = document.createElement('div');
+            bar.className = 'dw-progress-bar';
+            bar.appendChild(document.createElement('span'));
+
+            const count = document.createElement('span');
+            count.className = 'dw-progress-count';
+
+            progress.appendChild(bar);
+            progress.appendChild(count);
+
+            const heading = panel.querySelector('h3');
+            panel.insertBefore(progress, heading ? heading.nextSibling : panel.firstChild);
+        });
+    }
+
+    addToolbar() {
+        const container = document.querySelector('.dw-container');
+        if (!container) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'progress-toolbar';
+
+        const summary = document.createElement('span');
+        summary.className = 'progress-summary';
+
+        const continueBtn = document.createElement('button');
+        continueBtn.type = 'button';
+        continueBtn.className = 'progress-btn progress-continue';
+        continueBtn.textContent = utils.i18n.t('progress_continue', 'Continue where you left off');
+        continueBtn.addEventListener('click', () => this.continueProgress());
+
+        const resetBtn = document.createElement('button');
+        resetBtn.type = 'button';
+        resetBtn.className = 'progress-btn progress-reset';
+        resetBtn.textContent = utils.i18n.t('progress_reset', 'Reset progress');
+        resetBtn.addEventListener('click', () => {
+            if (window.confirm(utils.i18n.t('progress_reset_confirm', 'Clear all completed steps?'))) {
+                this.reset();
+            }
+        });
+
+        toolbar.appendChild(summary);
+        toolbar.appendChild(continueBtn);
+        toolbar.appendChild(resetBtn);
+        container.parentNode.insertBefore(toolbar, container);
+    }
+
+    setDone(stepKey, done) {
+        if (done) {
+            this.state[stepKey] = true;
+        } else {
+            delete this.state[stepKey];
+        }
+
+        this.save();
+        this.updateProgress();
+    }
+
+    save() {
+        utils.storage.set(this.storageKey, this.state);
+    }
+
+    reset() {
+        this.state = {};
+        this.save();
+
+        document.querySelectorAll('[data-progress-key]').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        this.updateProgress();
+    }
+
+    // Reload state from storage, e.g. after an import
+    reload() {
+        this.state = utils.storage.get(this.storageKey, {}) || {};
+
+        document.querySelectorAll('[data-progress-key]').forEach(checkbox => {
+            checkbox.checked = Boolean(this.state[checkbox.dataset.progressKey]);
+        });
+        this.updateProgress();
+    }
+
+    updateProgress() {
+        document.querySelectorAll('.dw-panel').forEach(panel => {
+            const progress = panel.querySelector('.dw-progress');
+            if (!progress) return;
+
+            const checkboxes = panel.querySelectorAll('[data-progress-key]');
+            const done = Array.from(checkboxes).filter(checkbox => checkbox.checked).length;
+            const total = checkboxes.length;
+            const heading = panel.querySelector('h3');
+
+            progress.setAttribute('aria-valuemax', String(total));
+            progress.setAttribute('aria-valuenow', String(done));
+            progress.setAttribute('aria-label', heading ? heading.textContent.trim() : panel.id);
+            progress.querySelector('.dw-progress-bar span').style.width = (total ? (done / total) * 100 : 0) + '%';
+            progress.querySelector('.dw-progress-count').textContent = `${done}/${total}`;
+            progress.classList.toggle('complete', total > 0 && done === total);
+        });
+
+        const steps = this.getWalkthroughSteps();
+        const done = steps.filter(key => this.state[key]).length;
+
+        const summary = document.querySelector('.progress-summary');
+        if (summary) {
+            summary.textContent = utils.i18n.t('progress_summary', '{done}/{total, plural, one {# step} other {# steps}} done', {
+                done,
+                total: steps.length
+            });
+        }
+
+        const continueBtn = document.querySelector('.progress-continue');
+        if (continueBtn) {
+            continueBtn.disabled = !this.getFirstUnfinished();
+        }
+    }
+
+    getWalkthroughSteps() {
+        return Array.from(document.querySelectorAll('.dw-panel [data-progress-key]'))
+            .map(checkbox => checkbox.dataset.progressKey);
+    }
+
+    getFirstUnfinished() {
+        return this.getWalkthroughSteps().find(key => !this.state[key]) || null;
+    }
+
+    hasProgress() {
+        return this.getWalkthroughSteps().some(key => this.state[key]);
+    }
+
+    continueProgress() {
+        const stepKey = this.getFirstUnfinished();
+        if (stepKey) {
+            this.onContinue(stepKey);
+        }
+    }
+
+    // Offer to jump back in when the player has started but not finished the walkthrough
+    offerResume() {
+        if (!this.hasProgress() || !this.getFirstUnfinished()) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'progress-resume';
+        prompt.setAttribute('role', 'status');
+
+        const message = document.createElement('span');
+        message.className = 'progress-resume-message';
+        message.textContent = utils.i18n.t('progress_resume_prompt', 'Welcome back! Pick up the walkthrough where you left off?');
+
+        const continueBtn = document.createElement('button');
+        continueBtn.type = 'button';
+        continueBtn.className = 'progress-btn progress-resume-continue';
+        continueBtn.textContent = utils.i18n.t('progress_continue', 'Continue where you left off');
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'close-btn';
+        dismissBtn.innerHTML = '&times;';
+        dismissBtn.setAttribute('aria-label', utils.i18n.t('progress_dismiss', 'Dismiss'));
+
+        const close = () => prompt.remove();
+
+        continueBtn.addEventListener('click', () => {
+            close();
+            this.continueProgress();
+        });
+        dismissBtn.addEventListener('click', close);
+
+        prompt.appendChild(message);
+        prompt.appendChild(continueBtn);
+        prompt.appendChild(dismissBtn);
+        document.body.appendChild(prompt);
+
+        utils.addClass(prompt, 'fade-in-up');
+    }
+}
+
+window.ProgressTracker = ProgressTracker;
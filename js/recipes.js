@@ -0,0 +1,314 @@
+/**
+ * Crafting Recipes
+ * Searchable recipe list and a material calculator that expands an item into
+ * everything it takes to make, down to the raw materials.
+ * Recipes live in data/recipes.json; item names are the item_<id> keys in languages/*.json
+ */
+
+class RecipeBrowser {
+    constructor(root, data, options = {}) {
+        this.root = root;
+        this.items = data.items || {};
+        this.filterInput = root.querySelector('[data-recipe-filter]');
+        this.list = root.querySelector('[data-recipe-list]');
+        this.empty = root.querySelector('[data-recipe-empty]');
+        this.quantityInput = root.querySelector('[data-recipe-quantity]');
+        this.title = root.querySelector('[data-recipe-title]');
+        this.bench = root.querySelector('[data-recipe-bench]');
+        this.tree = root.querySelector('[data-recipe-tree]');
+        this.totals = root.querySelector('[data-recipe-totals]');
+        this.leftovers = root.querySelector('[data-recipe-leftovers]');
+        this.maxQuantity = 999;
+
+        // Callbacks into the app for the "where to find it" links
+        this.actions = {
+            goToStep: options.goToStep || (() => {}),
+            openMap: options.openMap || (() => {}),
+            getMapTitle: options.getMapTitle || (mapId => mapId)
+        };
+
+        // Only items with ingredients are recipes; the rest are raw materials
+        this.recipeIds = Object.keys(this.items).filter(id => this.isCraftable(id));
+        this.selectedId = this.recipeIds[0] || null;
+        this.quantity = 1;
+
+        this.bindEvents();
+        this.render();
+        this.root.hidden = false;
+    }
+
+    bindEvents() {
+        this.filterInput?.addEventListener('input', utils.debounce(() => {
+            this.renderList();
+        }, 120));
+
+        this.quantityInput?.addEventListener('input', () => {
+            const value = parseInt(this.quantityInput.value, 10);
+            if (value > 0) {
+                this.quantity = Math.min(value, this.maxQuantity);
+                this.renderCalculator();
+            }
+        });
+
+        this.quantityInput?.addEventListener('change', () => {
+            this.quantityInput.value = this.quantity;
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-recipe-id]');
+            if (button) {
+                this.select(button.dataset.recipeId);
+            }
+        });
+
+        // Names, counts and step titles are all in the current language
+        document.addEventListener('translationsapplied', () => {
+            this.render();
+        });
+    }
+
+    isCraftable(itemId) {
+        const item = this.items[itemId];
+        return Boolean(item && item.ingredients && item.ingredients.length > 0);
+    }
+
+    getYield(itemId) {
+        return this.items[itemId].yield || 1;
+    }
+
+    getName(itemId) {
+        return utils.i18n.t(`item_${itemId}`, itemId.replace(/_/g, ' '));
+    }
+
+    formatCount(count) {
+        return `×${utils.format.number(count)}`;
+    }
+
+    // A recipe matches on its own name or any of its ingredients' names
+    matches(itemId, query) {
+        if (!query) return true;
+
+        const names = [itemId, ...this.items[itemId].ingredients.map(entry => entry.item)]
+            .map(id => utils.text.normalize(this.getName(id)));
+        return names.some(name => name.includes(query));
+    }
+
+    select(itemId) {
+        if (!this.isCraftable(itemId)) return;
+
+        this.selectedId = itemId;
+        this.renderList();
+        this.renderCalculator();
+    }
+
+    render() {
+        this.renderList();
+        this.renderCalculator();
+    }
+
+    renderList() {
+        const query = utils.text.normalize(this.filterInput ? this.filterInput.value : '').trim();
+        const visible = this.recipeIds
+            .filter(id => this.matches(id, query))
+            .sort((a, b) => this.getName(a).localeCompare(this.getName(b), utils.i18n.getLocale()));
+
+        this.list.innerHTML = '';
+
+        visible.forEach(id => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'recipe-list-item';
+            button.dataset.recipeId = id;
+            button.textContent = this.getName(id);
+            button.setAttribute('aria-pressed', String(id === this.selectedId));
+
+            item.appendChild(button);
+            this.list.appendChild(item);
+        });
+
+        if (this.empty) {
+            this.empty.hidden = visible.length > 0;
+        }
+    }
+
+    renderCalculator() {
+        if (!this.selectedId) return;
+
+        const item = this.items[this.selectedId];
+        this.title.textContent = this.getName(this.selectedId);
+
+        if (this.bench) {
+            this.bench.hidden = !item.bench;
+            this.bench.textContent = item.bench
+                ? utils.i18n.t('recipes_bench', 'Crafted at: {bench}', { bench: this.getName(item.bench) })
+                : '';
+        }
+
+        this.tree.innerHTML = '';
+        this.tree.appendChild(this.createNode(this.selectedId, this.quantity, new Set()));
+
+        const { raw, leftovers } = this.calculate(this.selectedId, this.quantity);
+        this.renderTotals(this.totals, raw, true);
+
+        if (this.leftovers) {
+            this.renderTotals(this.leftovers.querySelector('ul'), leftovers, false);
+            this.leftovers.hidden = leftovers.size === 0;
+        }
+    }
+
+    /*
+     * Raw materials and leftovers for `quantity` of an item. Demand is pooled per item
+     * before rounding up to whole crafts, so two branches needing 1 of an item that
+     * yields 4 share one craft instead of crafting twice. Items are visited after
+     * everything that uses them, which is what the pooling needs.
+     */
+    calculate(itemId, quantity) {
+        const order = [];
+        const visited = new Set();
+
+        const visit = (id) => {
+            if (visited.has(id) || !this.items[id]) return;
+            visited.add(id);
+            (this.items[id].ingredients || []).forEach(entry => visit(entry.item));
+            order.unshift(id);
+        };
+        visit(itemId);
+
+        const demand = new Map([[itemId, quantity]]);
+        const raw = new Map();
+        const leftovers = new Map();
+
+        order.forEach(id => {
+            const need = demand.get(id) || 0;
+            if (need === 0) return;
+
+            if (!this.isCraftable(id)) {
+                raw.set(id, need);
+                return;
+            }
+
+            const crafts = Math.ceil(need / this.getYield(id));
+            const extra = crafts * this.getYield(id) - need;
+            if (extra > 0) {
+                leftovers.set(id, extra);
+            }
+
+            this.items[id].ingredients.forEach(({ item, count = 1 }) => {
+                demand.set(item, (demand.get(item) || 0) + count * crafts);
+            });
+        });
+
+        return { raw, leftovers };
+    }
+
+    // One line of the crafting tree, with its ingredients nested below
+    createNode(itemId, count, path) {
+        const node = document.createElement('li');
+        node.className = 'recipe-node';
+
+        const line = document.createElement('div');
+        line.className = 'recipe-node-line';
+        line.appendChild(this.createItemLabel(itemId, count));
+
+        const craftable = this.isCraftable(itemId) && !path.has(itemId);
+
+        if (craftable) {
+            const crafts = Math.ceil(count / this.getYield(itemId));
+            const note = document.createElement('span');
+            note.className = 'recipe-node-crafts';
+            note.textContent = utils.i18n.t('recipes_crafts', '{count, plural, one {# craft} other {# crafts}}', { count: crafts });
+            line.appendChild(note);
+            node.appendChild(line);
+
+            const children = document.createElement('ul');
+            const childPath = new Set(path).add(itemId);
+            this.items[itemId].ingredients.forEach(({ item, count: perCraft = 1 }) => {
+                children.appendChild(this.createNode(item, perCraft * crafts, childPath));
+            });
+            node.appendChild(children);
+        } else {
+            line.appendChild(this.createSources(itemId));
+            node.appendChild(line);
+        }
+
+        return node;
+    }
+
+    renderTotals(list, counts, withSources) {
+        list.innerHTML = '';
+
+        counts.forEach((count, itemId) => {
+            const item = document.createElement('li');
+            item.className = 'recipe-total';
+            item.appendChild(this.createItemLabel(itemId, count));
+            if (withSources) {
+                item.appendChild(this.createSources(itemId));
+            }
+            list.appendChild(item);
+        });
+    }
+
+    createItemLabel(itemId, count) {
+        const label = document.createElement('span');
+        label.className = 'recipe-item';
+        label.dataset.itemId = itemId;
+
+        const name = document.createElement('span');
+        name.className = 'recipe-item-name';
+        name.textContent = this.getName(itemId);
+
+        const quantity = document.createElement('span');
+        quantity.className = 'recipe-item-count';
+        quantity.textContent = this.formatCount(count);
+
+        label.appendChild(name);
+        label.appendChild(quantity);
+        return label;
+    }
+
+    // Where an item is picked up: its walkthrough step and the map of the area
+    createSources(itemId) {
+        const sources = document.createElement('span');
+        sources.className = 'recipe-sources';
+
+        const item = this.items[itemId];
+        if (!item) return sources;
+
+        const heading = item.step
+            ? document.querySelector(`.dw-panel h4[data-translate="${item.step}"]`)
+            : null;
+
+        if (heading) {
+            sources.appendChild(this.createSourceButton(
+                'recipe-source-step',
+                heading.textContent.trim(),
+                utils.i18n.t('map_open_step', 'Open walkthrough step'),
+                () => this.actions.goToStep(item.step)
+            ));
+        }
+
+        if (item.map) {
+            sources.appendChild(this.createSourceButton(
+                'recipe-source-map',
+                this.actions.getMapTitle(item.map),
+                utils.i18n.t('recipes_open_map', 'Open map'),
+                () => this.actions.openMap(item.map)
+            ));
+        }
+
+        return sources;
+    }
+
+    createSourceButton(className, text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `recipe-source ${className}`;
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+window.RecipeBrowser = RecipeBrowser;
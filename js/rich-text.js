@@ -0,0 +1,195 @@
+/**
+ * Rich Text
+ * Small markup format for locale strings, rendered with DOM nodes only (never innerHTML).
+ *
+ *   line break   a real newline ("\n" in the JSON file)
+ *   bold         **Power Cell**
+ *   item         [Cloth Scraps] or 【布料碎片】
+ *   link         [Steam page](https://store.steampowered.com/) - http(s), "/" and "#" targets only
+ *
+ * A backslash escapes the markup characters: \* \[ \] \【 \】 \\
+ * Markup that is not closed is kept as plain text, so no characters are ever dropped.
+ * Also loaded by scripts/check-rich-text.js under Node.
+ */
+
+const richText = {
+    escapable: ['\\', '*', '[', ']', '【', '】', '(', ')'],
+
+    brackets: {
+        '[': ']',
+        '【': '】'
+    },
+
+    parse(source) {
+        const text = String(source == null ? '' : source).replace(/\r\n?/g, '\n');
+        return this.parseInline(text, false);
+    },
+
+    parseInline(text, inBold) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) {
+                nodes.push({ type: 'text', text: buffer });
+                buffer = '';
+            }
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\' && this.escapable.includes(text[i + 1])) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (char === '\n') {
+                flush();
+                nodes.push({ type: 'br' });
+                i++;
+                continue;
+            }
+
+            if (!inBold && text.startsWith('**', i)) {
+                const end = this.findClosing(text, '**', i + 2, true);
+                if (end > i + 2) {
+                    flush();
+                    nodes.push({ type: 'bold', children: this.parseInline(text.slice(i + 2, end), true) });
+                    i = end + 2;
+                    continue;
+                }
+            }
+
+            if (this.brackets[char]) {
+                const close = this.brackets[char];
+                const end = this.findClosing(text, close, i + 1, false);
+
+                if (end > i + 1) {
+                    const label = text.slice(i + 1, end);
+                    const link = char === '[' ? this.readLinkTarget(text, end + 1) : null;
+
+                    flush();
+                    if (link) {
+                        nodes.push({ type: 'link', href: link.href, children: this.parseInline(label, inBold) });
+                        i = link.end;
+                    } else {
+                        nodes.push({ type: 'item', name: this.unescape(label), open: char, close });
+                        i = end + 1;
+                    }
+                    continue;
+                }
+            }
+
+            buffer += char;
+            i++;
+        }
+
+        flush();
+        return nodes;
+    },
+
+    // Index of the closing token, skipping escaped characters; -1 when missing
+    findClosing(text, token, start, allowNewline) {
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '\\' && this.escapable.includes(text[i + 1])) {
+                i++;
+            } else if (text[i] === '\n' && !allowNewline) {
+                return -1;
+            } else if (text.startsWith(token, i)) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    // "(href)" straight after a "[label]"; only safe targets become links
+    readLinkTarget(text, start) {
+        if (text[start] !== '(') return null;
+
+        const end = text.indexOf(')', start + 1);
+        if (end === -1) return null;
+
+        const href = text.slice(start + 1, end).trim();
+        return this.isSafeHref(href) ? { href, end: end + 1 } : null;
+    },
+
+    isSafeHref(href) {
+        return /^(https?:\/\/[^\s]+|\/(?!\/)[^\s]*|#[^\s]*)$/i.test(href);
+    },
+
+    unescape(text) {
+        return text.replace(/\\([\\*[\]【】()])/g, '$1');
+    },
+
+    // Text as the reader sees it, with line breaks as "\n"
+    toPlainText(source) {
+        const nodes = Array.isArray(source) ? source : this.parse(source);
+
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'br':
+                    return '\n';
+                case 'item':
+                    return node.open + node.name + node.close;
+                case 'bold':
+                case 'link':
+                    return this.toPlainText(node.children);
+                default:
+                    return node.text;
+            }
+        }).join('');
+    },
+
+    // Build a DocumentFragment; all text goes through text nodes
+    render(source, doc = document) {
+        const nodes = Array.isArray(source) ? source : this.parse(source);
+        const fragment = doc.createDocumentFragment();
+
+        nodes.forEach(node => {
+            fragment.appendChild(this.renderNode(node, doc));
+        });
+
+        return fragment;
+    },
+
+    renderNode(node, doc) {
+        switch (node.type) {
+            case 'br':
+                return doc.createElement('br');
+            case 'bold': {
+                const strong = doc.createElement('strong');
+                strong.appendChild(this.render(node.children, doc));
+                return strong;
+            }
+            case 'item': {
+                const item = doc.createElement('span');
+                item.className = 'item-ref';
+                item.setAttribute('data-item', node.name);
+                item.appendChild(doc.createTextNode(node.open + node.name + node.close));
+                return item;
+            }
+            case 'link': {
+                const link = doc.createElement('a');
+                link.className = 'rich-link';
+                link.setAttribute('href', node.href);
+                if (/^https?:/i.test(node.href)) {
+                    link.setAttribute('target', '_blank');
+                    link.setAttribute('rel', 'noopener noreferrer');
+                }
+                link.appendChild(this.render(node.children, doc));
+                return link;
+            }
+            default:
+                return doc.createTextNode(node.text);
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = richText;
+} else {
+    window.richText = richText;
+}
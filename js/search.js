@@ -0,0 +1,438 @@
+/**
+ * Guide Search
+ * Client-side full-text search over walkthrough steps, Main Process cards,
+ * reviews and maps. The index is built in the browser from the page and the
+ * current locale, so it works in every supported language.
+ */
+
+class GuideSearch {
+    constructor(options = {}) {
+        this.input = document.getElementById('searchInput');
+        this.results = document.getElementById('searchResults');
+        this.maxResults = 8;
+
+        // Callbacks into the app for jumping to a result
+        this.actions = {
+            goToStep: options.goToStep || (() => {}),
+            openMap: options.openMap || (() => {}),
+            getMaps: options.getMaps || (() => ({}))
+        };
+
+        this.documents = [];
+        this.index = new Map();
+        this.isIndexed = false;
+        this.activeIndex = -1;
+        this.currentResults = [];
+
+        if (!this.input || !this.results) return;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.input.addEventListener('input', utils.debounce(() => {
+            this.search(this.input.value);
+        }, 120));
+
+        this.input.addEventListener('focus', () => {
+            this.ensureIndex();
+            if (this.input.value.trim()) {
+                this.search(this.input.value);
+            }
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            this.handleInputKeydown(e);
+        });
+
+        this.results.addEventListener('mousedown', (e) => {
+            // Keep focus in the input until the click has been handled
+            e.preventDefault();
+        });
+
+        this.results.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-result-index]');
+            if (option) {
+                this.select(Number(option.dataset.resultIndex));
+            }
+        });
+
+        this.input.addEventListener('blur', () => {
+            this.close();
+        });
+
+        // Ctrl+K / Cmd+K anywhere, "/" when not already typing
+        document.addEventListener('keydown', (e) => {
+            const isShortcut = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k';
+            const isSlash = e.key === '/' && !this.isTyping(e.target);
+
+            if (isShortcut || isSlash) {
+                e.preventDefault();
+                this.input.focus();
+                this.input.select();
+            }
+        });
+
+        // Rebuild with the new wording whenever translations change
+        document.addEventListener('translationsapplied', () => {
+            this.isIndexed = false;
+            if (document.activeElement === this.input) {
+                this.ensureIndex();
+            }
+        });
+    }
+
+    isTyping(target) {
+        return target instanceof HTMLElement
+            && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    handleInputKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(Math.min(this.activeIndex + 1, this.currentResults.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(Math.max(this.activeIndex - 1, 0));
+                break;
+            case 'Enter':
+                if (this.currentResults.length > 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex >= 0 ? this.activeIndex : 0);
+                }
+                break;
+            case 'Escape':
+                e.stopPropagation();
+                if (this.input.value) {
+                    this.input.value = '';
+                    this.close();
+                } else {
+                    this.input.blur();
+                }
+                break;
+        }
+    }
+
+    /*
+     * Words for alphabetic scripts, overlapping character bigrams for CJK,
+     * which is written without spaces.
+     */
+    tokenize(text) {
+        const tokens = [];
+        const segments = utils.text.normalize(text).match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+|[\p{L}\p{N}]+/gu) || [];
+
+        segments.forEach(segment => {
+            if (this.isCJK(segment)) {
+                const chars = Array.from(segment);
+                if (chars.length === 1) {
+                    tokens.push(chars[0]);
+                }
+                for (let i = 0; i < chars.length - 1; i++) {
+                    tokens.push(chars[i] + chars[i + 1]);
+                }
+            } else {
+                tokens.push(segment);
+            }
+        });
+
+        return tokens;
+    }
+
+    isCJK(text) {
+        return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(text);
+    }
+
+    // Look a key up in the current locale first, then fall back to what the page shows
+    getText(key, element) {
+        const manager = window.languageManager;
+        const translations = manager ? manager.translations[manager.getCurrentLanguage()] || {} : {};
+        const text = key && translations[key] ? translations[key] : (element ? element.textContent : '');
+        return this.cleanText(text);
+    }
+
+    cleanText(text) {
+        const plain = window.richText ? window.richText.toPlainText(text) : String(text);
+        return plain
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    collectDocuments() {
+        const documents = [];
+
+        // Walkthrough steps
+        document.querySelectorAll('.dw-panel').forEach(panel => {
+            const sector = this.getText(panel.querySelector('h3')?.dataset.translate, panel.querySelector('h3'));
+
+            panel.querySelectorAll('h4[data-translate]').forEach(heading => {
+                const key = heading.dataset.translate;
+                const description = panel.querySelector(`[data-translate="${key}_desc"]`);
+
+                documents.push({
+                    type: 'walkthrough',
+                    title: this.getText(key, heading),
+                    context: sector,
+                    body: this.getText(`${key}_desc`, description),
+                    action: () => this.actions.goToStep(key)
+                });
+            });
+        });
+
+        // Main Process cards
+        document.querySelectorAll('.process-card').forEach(card => {
+            const heading = card.querySelector('h3');
+            if (!heading) return;
+
+            const items = Array.from(card.querySelectorAll('li'))
+                .map(item => this.getText(item.dataset.translate, item));
+
+            documents.push({
+                type: 'process',
+                title: this.getText(heading.dataset.translate, heading),
+                context: '',
+                body: items.join(' · '),
+                action: () => this.revealElement(card)
+            });
+        });
+
+        // Reviews
+        document.querySelectorAll('.review-card').forEach(card => {
+            const name = card.querySelector('.user-name');
+            const content = card.querySelector('.review-content p');
+
+            documents.push({
+                type: 'review',
+                title: name ? name.textContent.trim() : '',
+                context: '',
+                body: content ? this.getText(content.dataset.translate, content) : '',
+                action: () => this.revealElement(card)
+            });
+        });
+
+        // Maps
+        const maps = this.actions.getMaps();
+        Object.keys(maps).forEach(mapId => {
+            documents.push({
+                type: 'map',
+                title: maps[mapId].title,
+                context: '',
+                body: maps[mapId].description || '',
+                action: () => this.actions.openMap(mapId)
+            });
+        });
+
+        return documents.filter(doc => doc.title || doc.body);
+    }
+
+    ensureIndex() {
+        if (this.isIndexed) return;
+
+        this.documents = this.collectDocuments();
+        this.index = new Map();
+
+        this.documents.forEach((doc, docId) => {
+            const weights = new Map();
+            this.tokenize(doc.title).forEach(token => weights.set(token, (weights.get(token) || 0) + 3));
+            this.tokenize(`${doc.context} ${doc.body}`).forEach(token => weights.set(token, (weights.get(token) || 0) + 1));
+
+            weights.forEach((weight, token) => {
+                if (!this.index.has(token)) {
+                    this.index.set(token, new Map());
+                }
+                this.index.get(token).set(docId, weight);
+            });
+        });
+
+        this.isIndexed = true;
+    }
+
+    // Documents containing every query token; the last one may be a prefix while typing
+    query(text) {
+        this.ensureIndex();
+
+        const tokens = this.tokenize(text);
+        if (tokens.length === 0) return [];
+
+        let scores = null;
+
+        tokens.forEach((token, i) => {
+            // A single CJK character matches any bigram it starts
+            const isPrefix = i === tokens.length - 1 && (!this.isCJK(token) || Array.from(token).length === 1);
+            const matches = new Map();
+
+            const addPostings = (postings) => {
+                postings.forEach((weight, docId) => {
+                    matches.set(docId, Math.max(matches.get(docId) || 0, weight));
+                });
+            };
+
+            if (isPrefix) {
+                this.index.forEach((postings, indexed) => {
+                    if (indexed.startsWith(token)) addPostings(postings);
+                });
+            } else if (this.index.has(token)) {
+                addPostings(this.index.get(token));
+            }
+
+            if (scores === null) {
+                scores = matches;
+            } else {
+                const next = new Map();
+                scores.forEach((score, docId) => {
+                    if (matches.has(docId)) next.set(docId, score + matches.get(docId));
+                });
+                scores = next;
+            }
+        });
+
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxResults)
+            .map(([docId]) => this.documents[docId]);
+    }
+
+    search(text) {
+        this.currentResults = text.trim() ? this.query(text) : [];
+        this.activeIndex = -1;
+        this.render(text);
+    }
+
+    render(text) {
+        this.results.innerHTML = '';
+
+        if (!text.trim()) {
+            this.close();
+            return;
+        }
+
+        if (this.currentResults.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = utils.i18n.t('search_no_results', 'No results');
+            this.results.appendChild(empty);
+        }
+
+        const terms = this.getHighlightTerms(text);
+
+        this.currentResults.forEach((doc, i) => {
+            const option = document.createElement('li');
+            option.className = 'search-result';
+            option.id = `search-result-${i}`;
+            option.dataset.resultIndex = i;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            const meta = document.createElement('span');
+            meta.className = 'search-result-type';
+            meta.textContent = [this.getTypeLabel(doc.type), doc.context].filter(Boolean).join(' · ');
+
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            this.appendHighlighted(title, doc.title, terms);
+
+            const snippet = document.createElement('span');
+            snippet.className = 'search-result-snippet';
+            this.appendHighlighted(snippet, this.getSnippet(doc.body, terms), terms);
+
+            option.appendChild(meta);
+            option.appendChild(title);
+            option.appendChild(snippet);
+            this.results.appendChild(option);
+        });
+
+        this.results.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    getTypeLabel(type) {
+        const labels = {
+            walkthrough: utils.i18n.t('search_type_walkthrough', 'Walkthrough'),
+            process: utils.i18n.t('search_type_process', 'Main Process'),
+            review: utils.i18n.t('search_type_review', 'Review'),
+            map: utils.i18n.t('search_type_map', 'Map')
+        };
+        return labels[type] || type;
+    }
+
+    // Raw query pieces to highlight; CJK runs are matched as written
+    getHighlightTerms(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}ー]+/gu) || [])
+            .filter(term => term.length > 1 || this.isCJK(term))
+            .sort((a, b) => b.length - a.length);
+    }
+
+    getSnippet(body, terms, radius = 60) {
+        const lower = body.toLowerCase();
+        const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos >= 0);
+        const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - radius) : 0;
+        const end = Math.min(body.length, start + radius * 3);
+
+        return (start > 0 ? '…' : '') + body.slice(start, end).trim() + (end < body.length ? '…' : '');
+    }
+
+    // Build highlighted text with DOM nodes so result text is never parsed as HTML
+    appendHighlighted(container, text, terms) {
+        if (terms.length === 0) {
+            container.textContent = text;
+            return;
+        }
+
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'giu');
+
+        text.split(pattern).forEach((part, i) => {
+            if (!part) return;
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                container.appendChild(mark);
+            } else {
+                container.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    setActive(index) {
+        const options = this.results.querySelectorAll('.search-result');
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+        });
+
+        this.activeIndex = index;
+        if (options[index]) {
+            this.input.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    select(index) {
+        const doc = this.currentResults[index];
+        if (!doc) return;
+
+        this.close();
+        this.input.blur();
+        doc.action();
+    }
+
+    close() {
+        this.results.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    revealElement(element) {
+        const section = element.closest('section[id]');
+        if (section) {
+            utils.scrollToElement(section.id, 80);
+        }
+        element.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+
+        utils.addClass(element, 'search-highlight');
+        utils.removeClass(element, 'search-highlight', 2000);
+    }
+}
+
+window.GuideSearch = GuideSearch;
@@ -0,0 +1,141 @@
+/**
+ * Save & Share Panel
+ * UI for exporting, importing and sharing guide state through window.guideState
+ */
+
+class StatePanel {
+    constructor() {
+        this.modal = document.getElementById('stateModal');
+        this.pending = null;
+
+        if (!this.modal || !window.guideState) return;
+
+        this.fileInput = document.getElementById('stateImportFile');
+        this.pendingBox = this.modal.querySelector('.state-pending');
+        this.pendingList = this.modal.querySelector('.state-pending-list');
+        this.status = this.modal.querySelector('.state-status');
+
+        this.bindEvents();
+        this.checkSharedLink();
+    }
+
+    bindEvents() {
+        document.getElementById('stateToggle')?.addEventListener('click', () => {
+            this.show();
+        });
+
+        document.getElementById('closeStateModal')?.addEventListener('click', () => {
+            this.hide();
+        });
+
+        document.getElementById('stateExport')?.addEventListener('click', () => {
+            window.guideState.exportFile();
+            this.setStatus(utils.i18n.t('state_exported', 'Export downloaded.'));
+        });
+
+        document.getElementById('stateImport')?.addEventListener('click', () => {
+            this.fileInput.click();
+        });
+
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (!file) return;
+
+            this.review(await window.guideState.readFile(file));
+        });
+
+        document.getElementById('stateCopyLink')?.addEventListener('click', () => {
+            this.copyShareLink();
+        });
+
+        document.getElementById('stateApply')?.addEventListener('click', () => {
+            this.applyPending();
+        });
+
+        document.getElementById('stateDiscard')?.addEventListener('click', () => {
+            this.clearPending();
+            this.setStatus('');
+        });
+    }
+
+    show() {
+        window.modals.open(this.modal);
+    }
+
+    hide() {
+        window.modals.close(this.modal);
+    }
+
+    // Opened from a "#state=..." link: show what the partner shared before applying it
+    async checkSharedLink() {
+        const encoded = window.guideState.getSharedStateFromUrl();
+        if (!encoded) return;
+
+        window.guideState.clearSharedStateFromUrl();
+        this.review(await window.guideState.decode(encoded));
+        this.show();
+    }
+
+    review(result) {
+        this.clearPending();
+
+        if (!result.payload) {
+            this.setStatus(`${utils.i18n.t('state_invalid', 'Could not read this data:')} ${result.errors.join('; ')}`, true);
+            return;
+        }
+
+        if (Object.keys(result.payload.data).length === 0) {
+            this.setStatus(utils.i18n.t('state_empty', 'There is nothing to import.'), true);
+            return;
+        }
+
+        this.pending = result.payload;
+        window.guideState.summarize(result.payload).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.pendingList.appendChild(item);
+        });
+        this.pendingBox.hidden = false;
+
+        const notes = [...result.errors];
+        if (result.skipped.length > 0) {
+            notes.push(`${utils.i18n.t('state_skipped', 'Ignored unknown entries:')} ${result.skipped.join(', ')}`);
+        }
+        this.setStatus(notes.join(' '), result.errors.length > 0);
+    }
+
+    applyPending() {
+        if (!this.pending) return;
+
+        const mode = this.modal.querySelector('input[name="stateMode"]:checked')?.value || 'merge';
+        window.guideState.apply(this.pending, mode);
+
+        this.clearPending();
+        this.setStatus(utils.i18n.t('state_applied', 'Your guide data has been updated.'));
+    }
+
+    clearPending() {
+        this.pending = null;
+        this.pendingList.innerHTML = '';
+        this.pendingBox.hidden = true;
+    }
+
+    async copyShareLink() {
+        try {
+            const link = await window.guideState.getShareUrl();
+            await navigator.clipboard.writeText(link);
+            this.setStatus(utils.i18n.t('state_link_copied', 'Share link copied to the clipboard.'));
+        } catch (error) {
+            utils.errorHandler.log(error, 'Copying share link');
+            this.setStatus(utils.i18n.t('state_link_failed', 'Could not copy the share link.'), true);
+        }
+    }
+
+    setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
+
+window.StatePanel = StatePanel;
@@ -0,0 +1,282 @@
+/**
+ * Guide State
+ * Versioned layer over utils.storage for exporting, importing and sharing
+ * everything the guide remembers (language preference, progress, map filters...)
+ */
+
+class GuideState {
+    constructor() {
+        this.appId = 'abiotic-factor-guide';
+        this.version = 1;
+        this.shareParam = 'state';
+
+        // Storage keys that take part in export/import, with their validators
+        this.schema = {};
+
+        // Upgrades from older export versions, keyed by the version they produce
+        this.migrations = {
+            // Version 0 was a bare key/value dump without an envelope
+            1: (payload) => ({
+                app: this.appId,
+                version: 1,
+                exportedAt: payload.exportedAt || null,
+                data: payload.data || payload
+            })
+        };
+    }
+
+    /**
+     * Register a storage key.
+     * options.label - human readable name shown before importing (English)
+     * options.labelKey - translation key for the label, looked up when summarizing
+     * options.validate(value) -> boolean
+     * options.merge(current, incoming) -> value used in merge mode
+     * options.describe(value) -> short summary of a value, e.g. "12 steps"
+     */
+    register(key, options = {}) {
+        this.schema[key] = {
+            label: options.label || key,
+            labelKey: options.labelKey || null,
+            describe: options.describe || (() => ''),
+            validate: options.validate || (() => true),
+            merge: options.merge || ((current, incoming) => {
+                if (this.isPlainObject(current) && this.isPlainObject(incoming)) {
+                    return { ...current, ...incoming };
+                }
+                return incoming;
+            })
+        };
+    }
+
+    getLabel(key) {
+        const entry = this.schema[key];
+        return entry.labelKey ? utils.i18n.t(entry.labelKey, entry.label) : entry.label;
+    }
+
+    // One line per key in the current language, for confirming an import
+    summarize(payload) {
+        return Object.keys(payload.data).map(key => {
+            const entry = this.schema[key];
+            const label = this.getLabel(key);
+            const description = entry.describe(payload.data[key]);
+            return description
+                ? utils.i18n.t('state_summary_line', '{label}: {value}', { label, value: description })
+                : label;
+        });
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Current state of every registered key
+    snapshot() {
+        const data = {};
+        Object.keys(this.schema).forEach(key => {
+            const value = utils.storage.get(key);
+            if (value !== null) {
+                data[key] = value;
+            }
+        });
+
+        return {
+            app: this.appId,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    migrate(payload) {
+        let current = payload;
+        let version = Number.isInteger(payload.version) ? payload.version : 0;
+
+        while (version < this.version) {
+            const migration = this.migrations[version + 1];
+            if (!migration) {
+                throw new Error(`No migration from state version ${version}`);
+            }
+            current = migration(current);
+            version = current.version;
+        }
+
+        return current;
+    }
+
+    // A result for data that can't be used at all, with the reason in the current language
+    reject(key, fallback, params = {}) {
+        return { payload: null, errors: [utils.i18n.t(key, fallback, params)], skipped: [] };
+    }
+
+    // Returns { payload, errors, skipped } - payload is null when the file can't be used
+    validate(raw) {
+        const errors = [];
+        const skipped = [];
+
+        if (!this.isPlainObject(raw)) {
+            return this.reject('state_error_not_state', 'Not a guide state object');
+        }
+        if (raw.app && raw.app !== this.appId) {
+            return this.reject('state_error_other_app', 'Unexpected app "{app}"', { app: String(raw.app) });
+        }
+        if (Number.isInteger(raw.version) && raw.version > this.version) {
+            return this.reject('state_error_newer_version', 'State version {version} is newer than this guide supports', { version: raw.version });
+        }
+
+        let payload;
+        try {
+            payload = this.migrate(raw);
+        } catch (error) {
+            console.warn('State migration failed:', error);
+            return this.reject('state_error_migration', 'Could not upgrade data from state version {version}', {
+                version: Number.isInteger(raw.version) ? raw.version : 0
+            });
+        }
+
+        if (!this.isPlainObject(payload.data)) {
+            return this.reject('state_error_missing_data', 'Missing "data" object');
+        }
+
+        const data = {};
+        Object.keys(payload.data).forEach(key => {
+            const entry = this.schema[key];
+            if (!entry) {
+                skipped.push(key);
+            } else if (!entry.validate(payload.data[key])) {
+                errors.push(utils.i18n.t('state_error_invalid_value', 'Invalid value for "{label}"', { label: this.getLabel(key) }));
+            } else {
+                data[key] = payload.data[key];
+            }
+        });
+
+        return { payload: { ...payload, data }, errors, skipped };
+    }
+
+    // mode: 'merge' keeps existing entries, 'overwrite' replaces everything registered
+    apply(payload, mode = 'merge') {
+        const keys = Object.keys(payload.data);
+
+        if (mode === 'overwrite') {
+            Object.keys(this.schema).forEach(key => {
+                if (!(key in payload.data)) {
+                    utils.storage.remove(key);
+                }
+            });
+        }
+
+        keys.forEach(key => {
+            const incoming = payload.data[key];
+            const current = utils.storage.get(key);
+            const value = mode === 'merge' && current !== null
+                ? this.schema[key].merge(current, incoming)
+                : incoming;
+            utils.storage.set(key, value);
+        });
+
+        document.dispatchEvent(new CustomEvent('guidestatechange', {
+            detail: { keys: mode === 'overwrite' ? Object.keys(this.schema) : keys, mode }
+        }));
+
+        return keys;
+    }
+
+    exportFile() {
+        const payload = this.snapshot();
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `abiotic-factor-guide-${payload.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async readFile(file) {
+        const text = await file.text();
+        try {
+            return this.validate(JSON.parse(text));
+        } catch (error) {
+            return this.reject('state_error_not_json', 'File is not valid JSON');
+        }
+    }
+
+    /*
+     * Share links carry the state in the URL fragment so it never reaches the server.
+     * "z." prefix: deflate-compressed, "j." prefix: plain JSON, both base64url encoded.
+     */
+    async encode(payload = this.snapshot()) {
+        const compact = JSON.stringify({ v: payload.version, d: payload.data });
+        let bytes = new TextEncoder().encode(compact);
+        let prefix = 'j.';
+
+        if (window.CompressionStream) {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            prefix = 'z.';
+        }
+
+        return prefix + this.toBase64Url(bytes);
+    }
+
+    async decode(encoded) {
+        try {
+            const [prefix, body] = [encoded.slice(0, 2), encoded.slice(2)];
+            let bytes = this.fromBase64Url(body);
+
+            if (prefix === 'z.') {
+                if (!window.DecompressionStream) {
+                    return this.reject('state_error_no_decompression', 'This browser cannot read compressed share links');
+                }
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else if (prefix !== 'j.') {
+                return this.reject('state_error_link_format', 'Unknown share link format');
+            }
+
+            const compact = JSON.parse(new TextDecoder().decode(bytes));
+            return this.validate({ app: this.appId, version: compact.v, data: compact.d });
+        } catch (error) {
+            return this.reject('state_error_link_damaged', 'Share link is damaged');
+        }
+    }
+
+    async getShareUrl() {
+        const encoded = await this.encode();
+        const url = new URL(window.location);
+        url.hash = `${this.shareParam}=${encoded}`;
+        return url.href;
+    }
+
+    // Encoded state from a "#state=..." fragment, if the page was opened from a share link
+    getSharedStateFromUrl() {
+        const prefix = `#${this.shareParam}=`;
+        return window.location.hash.startsWith(prefix)
+            ? window.location.hash.slice(prefix.length)
+            : null;
+    }
+
+    clearSharedStateFromUrl() {
+        const url = new URL(window.location);
+        url.hash = '';
+        window.history.replaceState({}, '', url.pathname + url.search);
+    }
+
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+window.guideState = new GuideState();
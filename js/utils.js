@@ -274,6 +274,33 @@ const url = {
         const url = new URL(window.location);
         url.searchParams.delete(name);
         window.history.pushState({}, '', url);
+    },
+    
+    // Build a same-page URL with several query parameters changed (null removes one).
+    // Keeps the current path, so /lang/ prefixes survive.
+    build: (params = {}) => {
+        const url = new URL(window.location);
+        Object.keys(params).forEach(name => {
+            if (params[name] === null || params[name] === undefined) {
+                url.searchParams.delete(name);
+            } else {
+                url.searchParams.set(name, params[name]);
+            }
+        });
+        return url.pathname + url.search + url.hash;
+    },
+    
+    // Change several query parameters as a single history entry
+    setParams: (params, replace = false) => {
+        const next = url.build(params);
+        const current = window.location.pathname + window.location.search + window.location.hash;
+        if (next === current) return;
+        
+        if (replace) {
+            window.history.replaceState({}, '', next);
+        } else {
+            window.history.pushState({}, '', next);
+        }
     }
 };
 
@@ -288,14 +315,23 @@ function domReady(callback) {
 
 // Format functions
 const format = {
-    // Format number with commas
-    number: (num) => {
-        return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+    // Locale-aware number, e.g. 12,345 / 12 345 / 12.345 (Intl.NumberFormat options)
+    number: (num, options = {}) => {
+        const { locale = i18n.getLocale(), ...formatOptions } = options;
+        return new Intl.NumberFormat(locale, formatOptions).format(num);
     },
     
-    // Format date
-    date: (date, locale = 'en-US') => {
-        return new Date(date).toLocaleDateString(locale);
+    // Locale-aware date (Intl.DateTimeFormat options, medium date style by default)
+    date: (date, options = {}) => {
+        const { locale = i18n.getLocale(), ...formatOptions } = options;
+        const dateOptions = Object.keys(formatOptions).length > 0 ? formatOptions : { dateStyle: 'medium' };
+        return new Intl.DateTimeFormat(locale, dateOptions).format(new Date(date));
+    },
+    
+    // "3 days ago", "il y a 1 semaine", "1週間前" (js/message-format.js, shared with the locale build)
+    relativeTime: (date, options = {}) => {
+        const { locale = i18n.getLocale(), now = Date.now() } = options;
+        return window.messageFormat.formatRelativeTime(date, locale, now);
     },
     
     // Truncate text
@@ -305,38 +341,91 @@ const format = {
     }
 };
 
+// Text helpers
+const text = {
+    // Folding shared by the guide's searches and filters: lower case, no accents or Arabic
+    // vowel marks/tatweel, full-width characters folded, Hangul syllables kept intact
+    normalize: (value) => {
+        return value
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, '')
+            .normalize('NFC')
+            .toLowerCase();
+    }
+};
+
+// Translation lookup for strings built in JavaScript.
+// Falls back to the given English text while the language manager is loading
+// or when the current locale has no entry for the key.
+// Messages use ICU syntax (js/message-format.js): {count, plural, one {# step} other {# steps}}
+const i18n = {
+    t: (key, fallback = key, params = {}) => {
+        const manager = window.languageManager;
+        const translation = manager ? manager.t(key, params) : key;
+        
+        return translation === key ? i18n.format(fallback, params, 'en') : translation;
+    },
+    
+    format: (message, params = {}, locale = i18n.getLocale()) => {
+        if (window.messageFormat) {
+            return window.messageFormat.format(message, params, locale);
+        }
+        return Object.keys(params).reduce((text, param) => {
+            return text.split(`{{${param}}}`).join(params[param]);
+        }, message);
+    },
+    
+    // BCP 47 tag of the current language, for Intl
+    getLocale: () => {
+        const manager = window.languageManager;
+        return manager ? manager.getLanguageTag() : document.documentElement.lang || 'en';
+    },
+    
+    isRTL: () => document.documentElement.dir === 'rtl',
+    
+    // Horizontal scroll distance toward the end of the reading direction, for scrollBy
+    inlineOffset: (distance) => (i18n.isRTL() ? -distance : distance)
+};
+
 // Accessibility helpers
+// Elements that already have the focus trap listener
+const trappedElements = new WeakSet();
+
 const a11y = {
-    // Set focus trap for modals
+    // Set focus trap for modals (js/modal.js opens and closes them). The focusable elements
+    // are looked up on every Tab, since buttons get disabled or hidden while a modal is open
     trapFocus: (element) => {
-        const focusableElements = element.querySelectorAll(
+        const getFocusable = () => Array.from(element.querySelectorAll(
             'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+        )).filter(el => !el.disabled && el.getClientRects().length > 0);
         
-        element.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstElement) {
-                        lastElement.focus();
-                        e.preventDefault();
-                    }
-                } else {
-                    if (document.activeElement === lastElement) {
-                        firstElement.focus();
+        if (!trappedElements.has(element)) {
+            trappedElements.add(element);
+            
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab') {
+                    const focusable = getFocusable();
+                    const firstElement = focusable[0];
+                    const lastElement = focusable[focusable.length - 1];
+                    
+                    if (!firstElement) {
                         e.preventDefault();
+                    } else if (e.shiftKey) {
+                        if (document.activeElement === firstElement || !element.contains(document.activeElement)) {
+                            lastElement.focus();
+                            e.preventDefault();
+                        }
+                    } else {
+                        if (document.activeElement === lastElement || !element.contains(document.activeElement)) {
+                            firstElement.focus();
+                            e.preventDefault();
+                        }
                     }
                 }
-            }
-            
-            if (e.key === 'Escape') {
-                element.style.display = 'none';
-            }
-        });
+            });
+        }
         
-        firstElement.focus();
+        getFocusable()[0]?.focus();
     },
     
     // Announce to screen readers
@@ -374,5 +463,7 @@ window.utils = {
     url,
     domReady,
     format,
+    text,
+    i18n,
     a11y
 };
\ No newline at end of file
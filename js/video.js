@@ -0,0 +1,88 @@
+/**
+ * Video Facade
+ * Videos listed in data/video.json show a placeholder until they're played, then load a
+ * youtube-nocookie embed in place: nothing is requested from YouTube before the click.
+ *
+ * Markup: <div data-video="<id in data/video.json>"> around an <a class="video-facade-play">
+ * that links to the video on YouTube, so it still works without JavaScript.
+ */
+
+const embedOrigin = 'https://www.youtube-nocookie.com';
+
+class VideoFacade {
+    constructor(container, video) {
+        this.container = container;
+        this.video = video;
+        this.link = container.querySelector('.video-facade-play');
+        this.iframe = null;
+
+        if (!this.link || !video.youtubeId) return;
+
+        this.link.href = this.getWatchUrl(video.start);
+        this.link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.play();
+        });
+
+        this.renderYoutubeLink();
+
+        document.addEventListener('translationsapplied', () => this.updateLabels());
+    }
+
+    getWatchUrl(time = 0) {
+        const url = new URL('https://www.youtube.com/watch');
+        url.searchParams.set('v', this.video.youtubeId);
+        if (time) {
+            url.searchParams.set('t', `${Math.floor(time)}s`);
+        }
+        return url.href;
+    }
+
+    getEmbedUrl(time = 0) {
+        const url = new URL(`${embedOrigin}/embed/${encodeURIComponent(this.video.youtubeId)}`);
+        url.searchParams.set('autoplay', '1');
+        url.searchParams.set('start', String(Math.floor(time)));
+        url.searchParams.set('rel', '0');
+        url.searchParams.set('hl', utils.i18n.getLocale());
+        return url.href;
+    }
+
+    play(time = this.video.start || 0) {
+        if (this.iframe) return;
+
+        this.iframe = document.createElement('iframe');
+        this.iframe.className = 'video-embed';
+        this.iframe.src = this.getEmbedUrl(time);
+        this.iframe.title = utils.i18n.t('video_trailer_title', this.video.title);
+        this.iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+        this.iframe.allowFullscreen = true;
+        this.iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+        this.link.replaceWith(this.iframe);
+        this.iframe.focus();
+    }
+
+    renderYoutubeLink() {
+        const youtubeLink = document.createElement('a');
+        youtubeLink.className = 'video-youtube-link';
+        youtubeLink.href = this.getWatchUrl(this.video.start);
+        youtubeLink.target = '_blank';
+        youtubeLink.rel = 'noopener';
+        this.container.appendChild(youtubeLink);
+
+        this.updateLabels();
+    }
+
+    updateLabels() {
+        const youtubeLink = this.container.querySelector('.video-youtube-link');
+        if (youtubeLink) {
+            youtubeLink.textContent = `${utils.i18n.t('youtube_link', 'YouTube')} ↗`;
+        }
+
+        if (this.iframe) {
+            this.iframe.title = utils.i18n.t('video_trailer_title', this.video.title);
+        }
+    }
+}
+
+window.VideoFacade = VideoFacade;
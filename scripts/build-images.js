@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Responsive Images
+ * Generates AVIF, WebP and JPEG variants of images/* in several widths under images/responsive/
+ * (URL-safe names, no spaces), a tiny blurred placeholder for each, and rewrites the <img> tags
+ * in index.html that use them into:
+ *
+ *   <picture class="responsive-image" data-image="images/Original Name.png">
+ *       <source type="image/avif" srcset="..." sizes="...">
+ *       <source type="image/webp" srcset="..." sizes="...">
+ *       <img src="images/responsive/original-name-960w.jpg" srcset="..." sizes="..." width height
+ *            loading="lazy" decoding="async" style="background-image:url(data:...)" ...>
+ *   </picture>
+ *
+ * Write new images in index.html as a plain <img src="images/..."> and run this script;
+ * it also regenerates the pictures it wrote before. data/responsive-images.json lists
+ * what was generated. Run node scripts/build-locales.js afterwards for the /<lang>/ pages.
+ *
+ * Needs ImageMagick 7 (`magick` on the PATH) to generate images.
+ *
+ * Usage: node scripts/build-images.js [--force] [--markup-only]
+ *   --force        regenerate variants that already exist
+ *   --markup-only  only rewrite index.html from data/responsive-images.json (no ImageMagick);
+ *                  images without variants still get width/height and lazy loading
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const rootDir = path.join(__dirname, '..');
+const imagesDir = path.join(rootDir, 'images');
+const outputDir = path.join(imagesDir, 'responsive');
+const manifestPath = path.join(rootDir, 'data', 'responsive-images.json');
+const htmlPath = path.join(rootDir, 'index.html');
+
+const widths = [320, 640, 960, 1280, 1920];
+const formats = [
+    { ext: 'avif', type: 'image/avif', quality: 50 },
+    { ext: 'webp', type: 'image/webp', quality: 75 },
+    { ext: 'jpg', type: 'image/jpeg', quality: 80 }
+];
+const placeholderWidth = 16;
+
+// How wide each kind of image is shown (css/main.css), so phones pick a small file
+const sizesByClass = {
+    'header-logo': '40px',
+    'avatar-img': '50px',
+    'footer-logo-img': '80px',
+    'intro-game-logo': '300px',
+    'video-poster': '(max-width: 767px) 100vw, 560px',
+    'step-img': '(max-width: 767px) 100vw, 400px',
+    'dw-img': '(max-width: 1023px) 100vw, 900px',
+    'simple-map-image': '(max-width: 1200px) 50vw, 600px'
+};
+const defaultSizes = '(max-width: 767px) 100vw, 320px';
+
+// Visible without scrolling, so they shouldn't wait for lazy loading
+const eagerClasses = ['header-logo', 'intro-game-logo', 'video-poster'];
+
+// Attributes this script writes; they're dropped before a tag is regenerated
+const generatedAttributes = ['src', 'srcset', 'sizes', 'width', 'height', 'loading', 'decoding'];
+
+function parseArgs(argv) {
+    const options = { force: false, markupOnly: false };
+
+    argv.forEach(arg => {
+        if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--markup-only') {
+            options.markupOnly = true;
+        } else {
+            console.error(`Unknown option: ${arg}`);
+            process.exit(2);
+        }
+    });
+
+    return options;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "images/abiotic-factor-guide-beginner-Dr. Kahn.png" -> "abiotic-factor-guide-beginner-dr-kahn"
+function toSlug(src) {
+    return path.basename(src, path.extname(src))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+// Width and height from the PNG, JPEG or WebP header
+function readDimensions(file) {
+    const data = fs.readFileSync(file);
+
+    if (data.toString('ascii', 1, 4) === 'PNG') {
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        let offset = 2;
+        while (offset < data.length) {
+            const marker = data[offset + 1];
+            const length = data.readUInt16BE(offset + 2);
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    // Some .jpg files are really WebP
+    if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = data.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+            return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+        }
+        if (chunk === 'VP8L') {
+            const bits = data.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8 ') {
+            return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+        }
+    }
+
+    throw new Error(`${path.relative(rootDir, file)}: can't read the image size`);
+}
+
+function magick(args, options = {}) {
+    return execFileSync('magick', args, { stdio: ['ignore', 'pipe', 'inherit'], maxBuffer: 1024 * 1024, ...options });
+}
+
+function hasImageMagick() {
+    try {
+        magick(['-version']);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getVariantPath(slug, width, ext) {
+    return `images/responsive/${slug}-${width}w.${ext}`;
+}
+
+// Creates the variants of one image, returns its manifest entry
+function buildImage(src, options) {
+    const file = path.join(rootDir, src);
+    const { width, height } = readDimensions(file);
+    const slug = toSlug(src);
+
+    // Never upscale; small images get a single variant at their own width
+    const largest = Math.min(width, widths[widths.length - 1]);
+    const imageWidths = widths.filter(candidate => candidate < largest).concat(largest);
+
+    imageWidths.forEach(variantWidth => {
+        formats.forEach(({ ext, quality }) => {
+            const output = path.join(rootDir, getVariantPath(slug, variantWidth, ext));
+            if (!options.force && fs.existsSync(output)) return;
+
+            magick([file, '-resize', `${variantWidth}x`, '-strip', '-background', '#0a0f0a', '-flatten', '-quality', String(quality), output]);
+        });
+    });
+
+    const placeholder = magick([file, '-resize', `${placeholderWidth}x`, '-strip', '-quality', '40', 'webp:-']);
+
+    return {
+        slug,
+        width,
+        height,
+        widths: imageWidths,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+    };
+}
+
+function parseAttributes(tag) {
+    const attributes = [];
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    const body = tag.replace(/^<img\b/i, '').replace(/\/?>$/, '');
+    let match;
+
+    while ((match = pattern.exec(body))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.push([match[1], value === undefined ? null : value]);
+    }
+    return attributes;
+}
+
+function renderAttributes(attributes) {
+    return attributes.map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${value}"`)).join('');
+}
+
+function getSrcset(entry, ext) {
+    return entry.widths.map(width => `${getVariantPath(entry.slug, width, ext)} ${width}w`).join(', ');
+}
+
+// The <img> (or <picture>) for one image, from the tag as written by hand
+function renderImage(tag, indent, manifest) {
+    const authored = parseAttributes(tag).filter(([name, value]) => {
+        if (name === 'style' && /^background-image:url\(data:/.test(value || '')) return false;
+        return !generatedAttributes.includes(name) || name === 'src';
+    });
+
+    const src = (authored.find(([name]) => name === 'src') || [])[1];
+    const rest = authored.filter(([name]) => name !== 'src');
+    const classes = ((rest.find(([name]) => name === 'class') || [])[1] || '').split(/\s+/);
+    const sizeClass = classes.find(className => sizesByClass[className]);
+    const sizes = sizeClass ? sizesByClass[sizeClass] : defaultSizes;
+    const loading = classes.some(className => eagerClasses.includes(className)) ? 'eager' : 'lazy';
+
+    const entry = manifest[src];
+    if (!entry) {
+        const { width, height } = readDimensions(path.join(rootDir, src));
+        return `<img${renderAttributes([['src', src], ['width', width], ['height', height], ['loading', loading], ['decoding', 'async'], ...rest])}>`;
+    }
+
+    // The JPEG closest to 960px wide is the fallback for browsers without srcset
+    const fallbackWidth = entry.widths.reduce((best, width) => (Math.abs(width - 960) < Math.abs(best - 960) ? width : best));
+    const image = `<img${renderAttributes([
+        ['src', getVariantPath(entry.slug, fallbackWidth, 'jpg')],
+        ['srcset', getSrcset(entry, 'jpg')],
+        ['sizes', sizes],
+        ['width', entry.width],
+        ['height', entry.height],
+        ['loading', loading],
+        ['decoding', 'async'],
+        ['style', `background-image:url(${entry.placeholder})`],
+        ...rest.filter(([name]) => name !== 'style')
+    ])}>`;
+
+    const sources = formats
+        .filter(({ ext }) => ext !== 'jpg')
+        .map(({ ext, type }) => `${indent}    <source type="${type}" srcset="${getSrcset(entry, ext)}" sizes="${sizes}">`);
+
+    return [
+        `<picture class="responsive-image" data-image="${escapeHtml(src)}">`,
+        ...sources,
+        `${indent}    ${image}`,
+        `${indent}</picture>`
+    ].join('\n');
+}
+
+// Rewrites local images/ <img> tags and the <picture> blocks from an earlier run
+function buildHtml(html, manifest) {
+    const pattern = /<script\b[\s\S]*?<\/script>|<picture class="responsive-image" data-image="([^"]*)">[\s\S]*?<\/picture>|<img\b[^>]*>/gi;
+
+    return html.replace(pattern, (match, pictureSrc, offset) => {
+        if (/^<script/i.test(match)) return match;
+
+        let tag = match;
+        if (pictureSrc !== undefined) {
+            tag = (/<img\b[^>]*>/i.exec(match) || [''])[0].replace(/\ssrc="[^"]*"/, ` src="${pictureSrc}"`);
+        }
+
+        const src = (/\ssrc="([^"]*)"/.exec(tag) || [])[1];
+        if (!src || !src.startsWith('images/') || src.startsWith('images/responsive/')) return match;
+        if (!fs.existsSync(path.join(rootDir, src))) return match;
+
+        const indent = (/[ \t]*$/.exec(html.slice(0, offset)) || [''])[0];
+        return renderImage(tag, indent, manifest);
+    });
+}
+
+function readManifest() {
+    return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const manifest = readManifest();
+
+    if (!options.markupOnly) {
+        if (!hasImageMagick()) {
+            console.error('ImageMagick 7 (magick) is required, or run with --markup-only');
+            process.exit(1);
+        }
+
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const sources = fs.readdirSync(imagesDir)
+            .filter(file => /\.(png|jpe?g)$/i.test(file))
+            .map(file => `images/${file}`)
+            .sort();
+
+        sources.forEach(src => {
+            manifest[src] = buildImage(src, options);
+            console.log(`${src}: ${manifest[src].widths.length} width(s)`);
+        });
+
+        // Forget images that were deleted
+        Object.keys(manifest).filter(src => !sources.includes(src)).forEach(src => delete manifest[src]);
+
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    }
+
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const updated = buildHtml(html, manifest);
+    if (updated !== html) {
+        fs.writeFileSync(htmlPath, updated);
+        console.log('index.html: updated, run node scripts/build-locales.js to update the locale pages');
+    } else {
+        console.log('index.html: up to date');
+    }
+}
+
+if (require.main === module) {
+    main();
+} else {
+    // scripts/build-walkthrough.js writes its images through buildHtml too
+    module.exports = { buildHtml, readManifest };
+}
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Locale Build
+ * data/locales.json is the one list of languages. This script validates it, updates
+ * each locale's completeness (see scripts/check-translations.js) and regenerates
+ * everything derived from it:
+ *
+ *   index.html         <!-- locales:hreflang -->, <!-- locales:modal --> and <!-- locales:footer --> blocks,
+ *                      and the English text of <time data-relative-time>
+ *   <lang>/index.html  the page pre-rendered in that language (scripts/prerender.js), so
+ *                      crawlers and visitors without JavaScript get translated HTML
+ *   sitemap.xml        one <url> per locale with hreflang alternates
+ *
+ * The browser reads the same manifest (js/language.js), so adding a language is:
+ * add languages/<code>.json, add an entry to data/locales.json, run this script.
+ * Run it again after editing index.html or a translation.
+ *
+ * Usage: node scripts/build-locales.js [--check] [--lastmod=YYYY-MM-DD]
+ *   --check    don't write, exit with code 1 when a generated file is out of date
+ *   --lastmod  sitemap date (default: keep the current one); relative times ("1 week ago")
+ *              in the static pages are counted from it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkTranslations } = require('./check-translations.js');
+const { prerenderPage, renderRelativeTimes } = require('./prerender.js');
+
+const rootDir = path.join(__dirname, '..');
+const manifestPath = path.join(rootDir, 'data', 'locales.json');
+const htmlPath = path.join(rootDir, 'index.html');
+const sitemapPath = path.join(rootDir, 'sitemap.xml');
+
+function parseArgs(argv) {
+    const options = { check: false, lastmod: null };
+
+    argv.forEach(arg => {
+        if (arg === '--check') {
+            options.check = true;
+        } else if (/^--lastmod=\d{4}-\d{2}-\d{2}$/.test(arg)) {
+            options.lastmod = arg.slice('--lastmod='.length);
+        } else {
+            console.error(`Unknown option: ${arg}`);
+            process.exit(2);
+        }
+    });
+
+    return options;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function validateManifest(manifest) {
+    const errors = [];
+    const codes = new Set();
+
+    if (!/^https:\/\/[^/]+$/.test(manifest.siteUrl || '')) {
+        errors.push('siteUrl must be an https origin without a trailing slash');
+    }
+
+    (manifest.locales || []).forEach((locale, index) => {
+        const label = locale.code || `locales[${index}]`;
+
+        if (!/^[a-z]{2,3}(-[a-z0-9]+)?$/.test(locale.code || '')) {
+            errors.push(`${label}: code must be lower case, e.g. "pt-br"`);
+        }
+        if (codes.has(locale.code)) {
+            errors.push(`${label}: listed twice`);
+        }
+        codes.add(locale.code);
+
+        if (!locale.name) {
+            errors.push(`${label}: name is required`);
+        }
+        if (!locale.tag) {
+            errors.push(`${label}: tag (BCP 47) is required`);
+        }
+        if (!['ltr', 'rtl'].includes(locale.dir)) {
+            errors.push(`${label}: dir must be "ltr" or "rtl"`);
+        }
+        if (!fs.existsSync(path.join(rootDir, 'languages', `${locale.code}.json`))) {
+            errors.push(`${label}: languages/${locale.code}.json does not exist`);
+        }
+    });
+
+    if (!codes.has(manifest.defaultLocale)) {
+        errors.push(`defaultLocale "${manifest.defaultLocale}" is not in the locale list`);
+    }
+
+    return errors;
+}
+
+// One locale per line, like the hand-written file
+function formatManifest(manifest) {
+    const locales = manifest.locales.map(locale => `    ${JSON.stringify(locale).replace(/,"/g, ', "').replace(/":/g, '": ').replace(/^\{/, '{ ').replace(/\}$/, ' }')}`);
+    return [
+        '{',
+        `  "siteUrl": ${JSON.stringify(manifest.siteUrl)},`,
+        `  "defaultLocale": ${JSON.stringify(manifest.defaultLocale)},`,
+        '  "locales": [',
+        locales.join(',\n'),
+        '  ]',
+        '}',
+        ''
+    ].join('\n');
+}
+
+function getLocaleUrl(manifest, code) {
+    return code === manifest.defaultLocale ? `${manifest.siteUrl}/` : `${manifest.siteUrl}/${code}/`;
+}
+
+function getAlternates(manifest) {
+    return manifest.locales
+        .map(locale => ({ hreflang: locale.tag, href: getLocaleUrl(manifest, locale.code) }))
+        .concat({ hreflang: 'x-default', href: getLocaleUrl(manifest, manifest.defaultLocale) });
+}
+
+function renderButton(className, locale) {
+    return `<button class="${className}" data-lang="${locale.code}" lang="${locale.tag}" dir="${locale.dir}">${escapeHtml(locale.name)}</button>`;
+}
+
+const htmlBlocks = {
+    hreflang: (manifest) => getAlternates(manifest).map(({ hreflang, href }) => {
+        return `<link rel="alternate" hreflang="${hreflang}" href="${href}">`;
+    }),
+    modal: (manifest) => manifest.locales.map(locale => renderButton('language-btn', locale)),
+    footer: (manifest) => manifest.locales.map(locale => renderButton('footer-lang-btn', locale))
+};
+
+// Replaces the lines between <!-- locales:name ... --> and <!-- /locales:name -->
+function buildHtml(html, manifest) {
+    Object.entries(htmlBlocks).forEach(([name, render]) => {
+        const pattern = new RegExp(`(\\n([ \\t]*)<!-- locales:${name}\\b[^>]*-->\\n)[\\s\\S]*?(\\n[ \\t]*<!-- /locales:${name} -->)`);
+        const match = pattern.exec(html);
+        if (!match) {
+            throw new Error(`index.html has no <!-- locales:${name} --> block`);
+        }
+
+        const indent = match[2];
+        const lines = render(manifest).map(line => indent + line).join('\n');
+        html = html.replace(pattern, (all, start, space, end) => start + lines + end);
+    });
+
+    return html;
+}
+
+function buildSitemap(manifest, lastmod) {
+    const alternates = getAlternates(manifest)
+        .map(({ hreflang, href }) => `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`)
+        .join('\n');
+
+    const urls = manifest.locales.map(locale => [
+        '  <url>',
+        `    <loc>${getLocaleUrl(manifest, locale.code)}</loc>`,
+        `    <lastmod>${lastmod}</lastmod>`,
+        '    <changefreq>weekly</changefreq>',
+        `    <priority>${locale.code === manifest.defaultLocale ? '1.0' : '0.8'}</priority>`,
+        alternates,
+        '  </url>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset',
+        '      xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '      xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        urls.join('\n'),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`data/locales.json: ${error}`));
+        process.exit(1);
+    }
+
+    const { results } = checkTranslations(manifest.locales.map(locale => locale.code));
+    manifest.locales.forEach(locale => {
+        locale.completeness = results[locale.code].completeness;
+    });
+
+    const currentSitemap = fs.existsSync(sitemapPath) ? fs.readFileSync(sitemapPath, 'utf8') : '';
+    const currentLastmod = (/<lastmod>([^<]+)<\/lastmod>/.exec(currentSitemap) || [])[1];
+    const lastmod = options.lastmod || currentLastmod || new Date().toISOString().slice(0, 10);
+
+    const defaultLocale = manifest.locales.find(locale => locale.code === manifest.defaultLocale);
+    const html = renderRelativeTimes(buildHtml(fs.readFileSync(htmlPath, 'utf8'), manifest), defaultLocale.tag, lastmod);
+    const pages = manifest.locales
+        .filter(locale => locale.code !== manifest.defaultLocale)
+        .map(locale => [
+            path.join(rootDir, locale.code, 'index.html'),
+            prerenderPage(html, {
+                locale,
+                translations: JSON.parse(fs.readFileSync(path.join(rootDir, 'languages', `${locale.code}.json`), 'utf8')),
+                url: getLocaleUrl(manifest, locale.code),
+                now: lastmod
+            })
+        ]);
+
+    const outputs = [
+        [manifestPath, formatManifest(manifest)],
+        [htmlPath, html],
+        ...pages,
+        [sitemapPath, buildSitemap(manifest, lastmod)]
+    ];
+
+    let outdated = false;
+    outputs.forEach(([file, content]) => {
+        const name = path.relative(rootDir, file);
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+        if (current === content) {
+            console.log(`${name}: up to date`);
+        } else if (options.check) {
+            console.error(`${name}: out of date, run node scripts/build-locales.js`);
+            outdated = true;
+        } else {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, content);
+            console.log(`${name}: updated`);
+        }
+    });
+
+    console.log(manifest.locales.map(locale => `${locale.code} ${locale.completeness}%`).join(', '));
+    process.exit(outdated ? 1 : 0);
+}
+
+main();
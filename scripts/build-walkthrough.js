@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Walkthrough Build
+ * data/walkthrough.json is the walkthrough: sectors, each with its steps. This script
+ * validates it and regenerates the index.html blocks built from it (scripts/render-walkthrough.js):
+ *
+ *   <!-- walkthrough:cards -->    the Main Process carousel cards
+ *   <!-- walkthrough:process -->  the .process-flow steps
+ *   <!-- walkthrough:nav -->      the Detailed Walkthrough tabs
+ *   <!-- walkthrough:panels -->   the Detailed Walkthrough panels
+ *
+ * and the Bestiary, which links into the walkthrough (data/bestiary.json, scripts/render-bestiary.js):
+ *
+ *   <!-- bestiary:sectors -->     the options of the sector filter
+ *   <!-- bestiary:entries -->     the entity cards
+ *
+ * A sector has an id (the panel is #dw-<id>, linked as ?tab=<id>), the keys of its tab,
+ * panel heading and card, a card image, and either steps or an "upcoming" list of what's
+ * still to come. A step has an id, title and body keys, images, required items and
+ * rewards ({ "item": "power_cell", "count": 3 }, named by item_<id> keys) and a map id
+ * from data/maps/. Texts are keys in languages/*.json; en.json must have every one.
+ *
+ * Adding a sector is: add it to data/walkthrough.json, add its texts to languages/*.json,
+ * run this script, then node scripts/build-locales.js for the /<lang>/ pages.
+ * Keep the title keys of published steps: progress, map markers and search use them.
+ *
+ * An entity has an id (named by entity_<id> and entity_<id>_desc keys, dashes as "_"), a kind,
+ * a threat level from 1 to 5, an optional boss flag and image, weaknesses (weakness_<id> keys),
+ * recommended weapons and drops (item ids), map ids and the ids of the steps that deal with it.
+ *
+ * Usage: node scripts/build-walkthrough.js [--check]
+ *   --check  don't write, exit with code 1 when index.html is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WalkthroughRenderer, getMapTitleKey, getItemKey } = require('./render-walkthrough.js');
+const { BestiaryRenderer, getEntityKey, getWeaknessKey } = require('./render-bestiary.js');
+const { buildHtml: buildImages, readManifest } = require('./build-images.js');
+
+const rootDir = path.join(__dirname, '..');
+const contentPath = path.join(rootDir, 'data', 'walkthrough.json');
+const bestiaryPath = path.join(rootDir, 'data', 'bestiary.json');
+const entityKinds = ['creature', 'robot', 'human'];
+const htmlPath = path.join(rootDir, 'index.html');
+
+function parseArgs(argv) {
+    const options = { check: false };
+
+    argv.forEach(arg => {
+        if (arg === '--check') {
+            options.check = true;
+        } else {
+            console.error(`Unknown option: ${arg}`);
+            process.exit(2);
+        }
+    });
+
+    return options;
+}
+
+function validateContent(content, english) {
+    const errors = [];
+    const sectorIds = new Set();
+    const stepIds = new Set();
+    const titles = new Set();
+
+    const requireKey = (label, key) => {
+        if (typeof key !== 'string' || !key) {
+            errors.push(`${label}: key is required`);
+        } else if (typeof english[key] !== 'string') {
+            errors.push(`${label}: "${key}" is not in languages/en.json`);
+        }
+    };
+
+    const requireImage = (label, image) => {
+        if (!image || !image.src) {
+            errors.push(`${label}: src is required`);
+            return;
+        }
+        if (!fs.existsSync(path.join(rootDir, image.src))) {
+            errors.push(`${label}: ${image.src} does not exist`);
+        }
+        requireKey(`${label}.alt`, image.alt);
+    };
+
+    const requireItems = (label, items) => {
+        (items || []).forEach((entry, index) => {
+            requireKey(`${label}[${index}]`, entry && entry.item ? getItemKey(entry.item) : null);
+            if (entry && entry.count !== undefined && !(Number.isInteger(entry.count) && entry.count > 0)) {
+                errors.push(`${label}[${index}]: count must be a positive integer`);
+            }
+        });
+    };
+
+    const requireTitle = (label, key) => {
+        requireKey(label, key);
+        if (titles.has(key)) {
+            errors.push(`${label}: "${key}" is used twice`);
+        }
+        titles.add(key);
+    };
+
+    if (!Array.isArray(content.sectors) || content.sectors.length === 0) {
+        errors.push('sectors must be a non-empty list');
+        return errors;
+    }
+
+    content.sectors.forEach((sector, index) => {
+        const label = sector.id || `sectors[${index}]`;
+
+        if (!/^[a-z0-9-]+$/.test(sector.id || '')) {
+            errors.push(`${label}: id must be lower case letters, digits and dashes`);
+        }
+        if (sectorIds.has(sector.id)) {
+            errors.push(`${label}: listed twice`);
+        }
+        sectorIds.add(sector.id);
+
+        requireKey(`${label}.nav`, sector.nav);
+        requireKey(`${label}.title`, sector.title);
+        requireKey(`${label}.card`, sector.card);
+        requireImage(`${label}.image`, sector.image);
+        (sector.body || []).forEach((key, keyIndex) => requireKey(`${label}.body[${keyIndex}]`, key));
+
+        if (!(sector.steps || []).length && !(sector.upcoming || []).length) {
+            errors.push(`${label}: needs steps or an upcoming list`);
+        }
+
+        (sector.steps || []).forEach((step, stepIndex) => {
+            const stepLabel = `${label}.steps[${stepIndex}]`;
+
+            if (!/^[a-z0-9-]+$/.test(step.id || '')) {
+                errors.push(`${stepLabel}: id must be lower case letters, digits and dashes`);
+            }
+            if (stepIds.has(step.id)) {
+                errors.push(`${stepLabel}: id "${step.id}" is used twice`);
+            }
+            stepIds.add(step.id);
+
+            requireTitle(`${stepLabel}.title`, step.title);
+            requireKey(`${stepLabel}.summary`, step.summary);
+
+            // Search and the map marker popups read the description as <title>_desc
+            const body = step.body || [];
+            if (body[0] !== `${step.title}_desc`) {
+                errors.push(`${stepLabel}.body: must start with "${step.title}_desc"`);
+            }
+            body.forEach((key, keyIndex) => requireKey(`${stepLabel}.body[${keyIndex}]`, key));
+
+            (step.images || []).forEach((image, imageIndex) => requireImage(`${stepLabel}.images[${imageIndex}]`, image));
+            requireItems(`${stepLabel}.requires`, step.requires);
+            requireItems(`${stepLabel}.rewards`, step.rewards);
+
+            if (step.map !== undefined) {
+                if (!fs.existsSync(path.join(rootDir, 'data', 'maps', `${step.map}.json`))) {
+                    errors.push(`${stepLabel}.map: data/maps/${step.map}.json does not exist`);
+                }
+                requireKey(`${stepLabel}.map`, getMapTitleKey(step.map));
+            }
+        });
+
+        (sector.upcoming || []).forEach((entry, entryIndex) => {
+            requireTitle(`${label}.upcoming[${entryIndex}].title`, entry.title);
+            requireKey(`${label}.upcoming[${entryIndex}].summary`, entry.summary);
+        });
+    });
+
+    return errors;
+}
+
+function validateBestiary(bestiary, content, english) {
+    const errors = [];
+    const ids = new Set();
+    const stepIds = new Set(content.sectors.flatMap(sector => (sector.steps || []).map(step => step.id)));
+
+    const requireKey = (label, key) => {
+        if (typeof english[key] !== 'string') {
+            errors.push(`${label}: "${key}" is not in languages/en.json`);
+        }
+    };
+
+    const requireList = (label, list, check) => {
+        if (!Array.isArray(list)) {
+            errors.push(`${label}: must be a list`);
+            return;
+        }
+        list.forEach((value, index) => check(`${label}[${index}]`, value));
+    };
+
+    if (!Array.isArray(bestiary.entities) || bestiary.entities.length === 0) {
+        errors.push('entities must be a non-empty list');
+        return errors;
+    }
+
+    bestiary.entities.forEach((entity, index) => {
+        const label = entity.id || `entities[${index}]`;
+
+        if (!/^[a-z0-9-]+$/.test(entity.id || '')) {
+            errors.push(`${label}: id must be lower case letters, digits and dashes`);
+            return;
+        }
+        if (ids.has(entity.id)) {
+            errors.push(`${label}: listed twice`);
+        }
+        ids.add(entity.id);
+
+        requireKey(`${label}.name`, getEntityKey(entity.id));
+        requireKey(`${label}.description`, `${getEntityKey(entity.id)}_desc`);
+
+        if (!entityKinds.includes(entity.kind)) {
+            errors.push(`${label}.kind: must be one of ${entityKinds.join(', ')}`);
+        }
+        if (!(Number.isInteger(entity.threat) && entity.threat >= 1 && entity.threat <= 5)) {
+            errors.push(`${label}.threat: must be a whole number from 1 to 5`);
+        }
+        if (entity.image) {
+            if (!fs.existsSync(path.join(rootDir, entity.image.src || ''))) {
+                errors.push(`${label}.image: ${entity.image.src} does not exist`);
+            }
+            requireKey(`${label}.image.alt`, entity.image.alt);
+        }
+
+        requireList(`${label}.weaknesses`, entity.weaknesses, (itemLabel, id) => requireKey(itemLabel, getWeaknessKey(id)));
+        requireList(`${label}.weapons`, entity.weapons, (itemLabel, id) => requireKey(itemLabel, getItemKey(id)));
+        requireList(`${label}.drops`, entity.drops, (itemLabel, id) => requireKey(itemLabel, getItemKey(id)));
+        requireList(`${label}.maps`, entity.maps, (itemLabel, mapId) => {
+            if (!fs.existsSync(path.join(rootDir, 'data', 'maps', `${mapId}.json`))) {
+                errors.push(`${itemLabel}: data/maps/${mapId}.json does not exist`);
+            }
+        });
+        requireList(`${label}.steps`, entity.steps, (itemLabel, stepId) => {
+            if (!stepIds.has(stepId)) {
+                errors.push(`${itemLabel}: no step "${stepId}" in data/walkthrough.json`);
+            }
+        });
+        if (Array.isArray(entity.steps) && entity.steps.length === 0) {
+            errors.push(`${label}.steps: needs at least one step`);
+        }
+    });
+
+    return errors;
+}
+
+// Replaces the lines between <!-- name ... --> and <!-- /name -->, e.g. walkthrough:cards
+function buildHtml(html, renderer, bestiaryRenderer) {
+    const blocks = {
+        'walkthrough:cards': () => renderer.renderCards(),
+        'walkthrough:process': () => renderer.renderProcessFlow(),
+        'walkthrough:nav': () => renderer.renderNav(),
+        'walkthrough:panels': () => renderer.renderPanels(),
+        'bestiary:sectors': () => bestiaryRenderer.renderSectorOptions(),
+        'bestiary:entries': () => bestiaryRenderer.renderEntities()
+    };
+
+    Object.entries(blocks).forEach(([name, render]) => {
+        const pattern = new RegExp(`(\\n([ \\t]*)<!-- ${name}\\b[^>]*-->)[\\s\\S]*?(\\n[ \\t]*<!-- /${name} -->)`);
+        const match = pattern.exec(html);
+        if (!match) {
+            throw new Error(`index.html has no <!-- ${name} --> block`);
+        }
+
+        const indent = match[2];
+        const lines = render().map(line => (line ? indent + line : line)).join('\n');
+        html = html.replace(pattern, (all, start, space, end) => `${start}\n${lines}${end}`);
+    });
+
+    // Same <img> markup as scripts/build-images.js writes everywhere else
+    return buildImages(html, readManifest());
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const content = JSON.parse(fs.readFileSync(contentPath, 'utf8'));
+    const english = JSON.parse(fs.readFileSync(path.join(rootDir, 'languages', 'en.json'), 'utf8'));
+
+    const bestiary = JSON.parse(fs.readFileSync(bestiaryPath, 'utf8'));
+
+    const errors = validateContent(content, english);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`data/walkthrough.json: ${error}`));
+        process.exit(1);
+    }
+
+    const bestiaryErrors = validateBestiary(bestiary, content, english);
+    if (bestiaryErrors.length > 0) {
+        bestiaryErrors.forEach(error => console.error(`data/bestiary.json: ${error}`));
+        process.exit(1);
+    }
+
+    const current = fs.readFileSync(htmlPath, 'utf8');
+    const html = buildHtml(current, new WalkthroughRenderer(content, english), new BestiaryRenderer(bestiary, content, english));
+
+    if (html === current) {
+        console.log('index.html: up to date');
+    } else if (options.check) {
+        console.error('index.html: out of date, run node scripts/build-walkthrough.js');
+        process.exit(1);
+    } else {
+        fs.writeFileSync(htmlPath, html);
+        console.log('index.html: updated, run node scripts/build-locales.js to update the locale pages');
+    }
+}
+
+main();
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Rich Text Check
+ * Renders every key of every languages/*.json file through js/rich-text.js and
+ * checks that nothing is lost: every letter and digit, every line break, and no
+ * markup left over as visible text. Also runs a few parser cases.
+ *
+ * Usage: node scripts/check-rich-text.js
+ * Exits with code 1 when a check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const richText = require('../js/rich-text.js');
+
+const languagesDir = path.join(__dirname, '..', 'languages');
+
+// Just enough of the DOM for richText.render
+class FakeNode {
+    constructor(nodeName, text = '') {
+        this.nodeName = nodeName;
+        this.text = text;
+        this.attributes = {};
+        this.childNodes = [];
+        this.className = '';
+    }
+
+    appendChild(child) {
+        if (child.nodeName === '#fragment') {
+            this.childNodes.push(...child.childNodes);
+        } else {
+            this.childNodes.push(child);
+        }
+        return child;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    // Text as displayed, with <br> as "\n"
+    get displayText() {
+        if (this.nodeName === '#text') return this.text;
+        if (this.nodeName === 'BR') return '\n';
+        return this.childNodes.map(child => child.displayText).join('');
+    }
+
+    count(nodeName) {
+        return this.childNodes.reduce((total, child) => {
+            return total + (child.nodeName === nodeName ? 1 : 0) + child.count(nodeName);
+        }, 0);
+    }
+
+    collect(nodeName, found = []) {
+        this.childNodes.forEach(child => {
+            if (child.nodeName === nodeName) found.push(child);
+            child.collect(nodeName, found);
+        });
+        return found;
+    }
+}
+
+const fakeDocument = {
+    createDocumentFragment: () => new FakeNode('#fragment'),
+    createElement: (tag) => new FakeNode(tag.toUpperCase()),
+    createTextNode: (text) => new FakeNode('#text', text)
+};
+
+function letters(text) {
+    return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+}
+
+function runParserCases() {
+    const cases = [
+        ['plain text', 'plain text', 0],
+        ['line one\nline two', 'line one\nline two', 1],
+        ['**bold** text', 'bold text', 0],
+        ['get [Cloth Scraps] first', 'get [Cloth Scraps] first', 0],
+        ['获得【布料碎片】', '获得【布料碎片】', 0],
+        ['[Steam](https://store.steampowered.com/)', 'Steam', 0],
+        ['[bad](javascript:alert(1))', '[bad](javascript:alert(1))', 0],
+        ['**not closed', '**not closed', 0],
+        ['[not closed', '[not closed', 0],
+        ['escaped \\[bracket\\] and \\*\\*stars\\*\\*', 'escaped [bracket] and **stars**', 0],
+        ['<b>kept as text</b>', '<b>kept as text</b>', 0]
+    ];
+
+    cases.forEach(([source, expected, breaks]) => {
+        const fragment = richText.render(source, fakeDocument);
+        assert.strictEqual(fragment.displayText, expected, `render(${JSON.stringify(source)})`);
+        assert.strictEqual(richText.toPlainText(source), expected, `toPlainText(${JSON.stringify(source)})`);
+        assert.strictEqual(fragment.count('BR'), breaks, `line breaks in ${JSON.stringify(source)}`);
+    });
+
+    const link = richText.render('[Steam](https://store.steampowered.com/)', fakeDocument).childNodes[0];
+    assert.strictEqual(link.nodeName, 'A');
+    assert.strictEqual(link.attributes.rel, 'noopener noreferrer');
+
+    const item = richText.render('[Bandage]', fakeDocument).childNodes[0];
+    assert.strictEqual(item.className, 'item-ref');
+    assert.strictEqual(item.attributes['data-item'], 'Bandage');
+
+    return cases.length;
+}
+
+function checkValue(source) {
+    const problems = [];
+
+    if (typeof source !== 'string') {
+        return ['value is not a string'];
+    }
+
+    const fragment = richText.render(source, fakeDocument);
+    const rendered = fragment.displayText;
+    const hrefs = fragment.collect('A').map(link => link.attributes.href).join('');
+
+    if (rendered !== richText.toPlainText(source)) {
+        problems.push('rendered text differs from plain text');
+    }
+    if (letters(source) !== letters(rendered) + letters(hrefs)) {
+        problems.push(`${letters(source) - letters(rendered) - letters(hrefs)} letters lost`);
+    }
+    if ((source.match(/\n/g) || []).length !== fragment.count('BR')) {
+        problems.push('line breaks lost');
+    }
+    if (/\\n|<br\s*\/?>/i.test(rendered)) {
+        problems.push('escaped line break shown as text (use a real newline)');
+    }
+    if (rendered.includes('**')) {
+        problems.push('unclosed ** shown as text');
+    }
+
+    return problems;
+}
+
+function main() {
+    let failed = false;
+
+    try {
+        console.log(`Parser cases: ${runParserCases()} passed`);
+    } catch (error) {
+        console.error(`Parser case failed: ${error.message}`);
+        failed = true;
+    }
+
+    const files = fs.readdirSync(languagesDir).filter(file => file.endsWith('.json')).sort();
+
+    files.forEach(file => {
+        const translations = JSON.parse(fs.readFileSync(path.join(languagesDir, file), 'utf8'));
+        const keys = Object.keys(translations);
+        let errors = 0;
+
+        keys.forEach(key => {
+            checkValue(translations[key]).forEach(problem => {
+                console.error(`  ${file} ${key}: ${problem}`);
+                errors++;
+            });
+        });
+
+        console.log(`${file}: ${keys.length} keys rendered, ${errors} problem(s)`);
+        failed = failed || errors > 0;
+    });
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * Translation Coverage Check
+ * Compares every languages/*.json file with en.json and with the keys used by
+ * index.html (data-translate, data-translate-attr) and the scripts in js/.
+ *
+ *   missing       key is used or in en.json but not in the locale
+ *                 (unused en.json keys are only reported once, as unused)
+ *   extra         key is in the locale but not in en.json
+ *   empty         value is blank
+ *   untranslated  value is identical to en.json
+ *   placeholders  arguments differ from en.json ({name}, {{name}}, {n, plural, ...})
+ *   suspicious    length is far off the locale's usual ratio to English,
+ *                 which usually means a truncated translation or text from another key
+ *   unused        en.json key that nothing references (en only)
+ *   stale         en.json differs from the English text in index.html (en only)
+ *
+ * "complete" is the share of used en.json keys with a usable translation (not missing,
+ * empty, suspicious or with wrong placeholders); scripts/build-locales.js writes it to
+ * data/locales.json.
+ *
+ * Usage: node scripts/check-translations.js [--json] [--lang=fr,de] [--verbose]
+ * Exits with code 1 when a locale has missing, empty or placeholder problems.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const richText = require('../js/rich-text.js');
+const messageFormat = require('../js/message-format.js');
+
+const rootDir = path.join(__dirname, '..');
+const languagesDir = path.join(rootDir, 'languages');
+const referenceLanguage = 'en';
+
+// Problems that make the check fail; the rest are warnings
+const errorTypes = ['missing', 'empty', 'placeholders'];
+const warningTypes = ['extra', 'untranslated', 'suspicious'];
+
+// Keys built at runtime, e.g. `map_${mapId}_title` in js/main.js, `item_${itemId}` in js/recipes.js;
+// marker_* keys are named in data/maps/*.json
+const dynamicKeys = [
+    /^map_\w+_(title|desc)$/,
+    /^item_\w+$/,
+    /^marker_\w+$/
+];
+
+function parseArgs(argv) {
+    const options = { json: false, verbose: false, languages: null };
+
+    argv.forEach(arg => {
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg.startsWith('--lang=')) {
+            options.languages = arg.slice('--lang='.length).split(',').filter(Boolean);
+        } else {
+            console.error(`Unknown option: ${arg}`);
+            process.exit(2);
+        }
+    });
+
+    return options;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&(\w+);/g, (match, name) => entities[name] || match);
+}
+
+// Keys and English defaults from index.html
+function readHtmlKeys() {
+    const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const keys = new Map();
+
+    const addKey = (key, text) => {
+        if (!keys.has(key) || (keys.get(key) === null && text !== null)) {
+            keys.set(key, text);
+        }
+    };
+
+    // <tag data-translate="key">English text</tag>
+    const elementPattern = /<([a-z0-9]+)\b([^>]*?)\sdata-translate="([^"]+)"([^>]*)>/gi;
+    let match;
+    while ((match = elementPattern.exec(html))) {
+        const [opening, tag, , key] = match;
+
+        // Inputs translate their placeholder (or value for buttons)
+        if (/^(input|textarea)$/i.test(tag)) {
+            const value = /\s(?:placeholder|value)="([^"]*)"/.exec(opening);
+            addKey(key, value ? normalizeText(decodeEntities(value[1])) : null);
+            continue;
+        }
+
+        const closing = html.indexOf(`</${tag}>`, match.index + opening.length);
+        const content = closing === -1 ? '' : html.slice(match.index + opening.length, closing);
+
+        // Skip elements with nested elements of the same kind, the text can't be read reliably
+        const nested = new RegExp(`<${tag}\\b`, 'i').test(content);
+        const text = nested ? null : normalizeText(decodeEntities(content.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '')));
+        addKey(key, text);
+    }
+
+    // data-translate-attr="alt:key;title:key2" - the attribute values are the defaults
+    const attrPattern = /<[a-z0-9]+\b[^>]*\sdata-translate-attr="([^"]+)"[^>]*>/gi;
+    while ((match = attrPattern.exec(html))) {
+        match[1].split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (!attribute || !key) return;
+
+            const value = new RegExp(`\\s${attribute}="([^"]*)"`).exec(match[0]);
+            addKey(key, value ? normalizeText(decodeEntities(value[1])) : null);
+        });
+    }
+
+    return keys;
+}
+
+// Keys referenced by scripts: words in string literals (including 'aria-label:key;title:key2')
+// and translations.key lookups
+function readScriptKeys() {
+    const jsDir = path.join(rootDir, 'js');
+    const keys = new Set();
+
+    fs.readdirSync(jsDir).filter(file => file.endsWith('.js')).forEach(file => {
+        const source = fs.readFileSync(path.join(jsDir, file), 'utf8');
+        (source.match(/'[^'\n]*'/g) || []).forEach(literal => {
+            (literal.match(/[a-z0-9_]+/g) || []).forEach(word => keys.add(word));
+        });
+        (source.match(/[tT]ranslations\.([a-z0-9_]+)/g) || []).forEach(lookup => keys.add(lookup.split('.')[1]));
+    });
+
+    return keys;
+}
+
+function getArguments(value) {
+    return messageFormat.getArguments(value).sort();
+}
+
+function countLetters(value) {
+    return (richText.toPlainText(value).match(/[\p{L}\p{N}]/gu) || []).length;
+}
+
+function median(values) {
+    if (values.length === 0) return 1;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function checkLocale(language, translations, reference, usedKeys, unusedKeys) {
+    const issues = { missing: [], extra: [], empty: [], untranslated: [], placeholders: [], suspicious: [] };
+    const isReference = language === referenceLanguage;
+
+    const expected = isReference
+        ? new Set([...Object.keys(reference), ...usedKeys])
+        : Object.keys(reference).filter(key => !unusedKeys.has(key));
+    expected.forEach(key => {
+        if (!(key in translations)) {
+            issues.missing.push({ key });
+        }
+    });
+
+    Object.keys(translations).forEach(key => {
+        if (!isReference && !(key in reference)) {
+            issues.extra.push({ key });
+        }
+    });
+
+    const ratios = [];
+
+    Object.entries(translations).forEach(([key, value]) => {
+        if (typeof value !== 'string' || value.trim() === '') {
+            issues.empty.push({ key });
+            return;
+        }
+
+        const english = reference[key];
+        if (isReference || typeof english !== 'string') return;
+
+        if (value === english && countLetters(value) > 0) {
+            issues.untranslated.push({ key, value });
+        }
+
+        const expectedArguments = getArguments(english);
+        const actualArguments = getArguments(value);
+        if (expectedArguments.join(',') !== actualArguments.join(',')) {
+            issues.placeholders.push({ key, expected: expectedArguments, actual: actualArguments });
+        }
+
+        const englishLetters = countLetters(english);
+        if (englishLetters >= 20 && value !== english) {
+            ratios.push({ key, ratio: countLetters(value) / englishLetters });
+        }
+    });
+
+    // Compare against the locale's own typical ratio, CJK text is much shorter than English
+    const typicalRatio = median(ratios.map(({ ratio }) => ratio));
+    ratios.forEach(({ key, ratio }) => {
+        const deviation = ratio / typicalRatio;
+        if (deviation > 3 || deviation < 1 / 3) {
+            issues.suspicious.push({ key, value: translations[key], english: reference[key] });
+        }
+    });
+
+    return issues;
+}
+
+function findUnusedKeys(reference, htmlKeys, scriptKeys) {
+    return Object.keys(reference).filter(key => {
+        return !htmlKeys.has(key) && !scriptKeys.has(key) && !dynamicKeys.some(pattern => pattern.test(key));
+    });
+}
+
+// Percentage of the keys a locale should have that are usably translated
+function getCompleteness(language, issues, reference, unusedKeys) {
+    const expected = Object.keys(reference).filter(key => !unusedKeys.has(key));
+    if (language === referenceLanguage || expected.length === 0) return 100;
+
+    const broken = new Set(['missing', 'empty', 'placeholders', 'suspicious']
+        .flatMap(type => issues[type].map(({ key }) => key)));
+    const usable = expected.filter(key => !broken.has(key)).length;
+
+    return Math.floor((usable / expected.length) * 100);
+}
+
+function checkReference(reference, htmlKeys, unused) {
+
+    const stale = [];
+    htmlKeys.forEach((htmlText, key) => {
+        if (htmlText === null || typeof reference[key] !== 'string') return;
+
+        const english = normalizeText(richText.toPlainText(reference[key]));
+        if (english !== htmlText) {
+            stale.push({ key, json: english, html: htmlText });
+        }
+    });
+
+    return { unused: unused.map(key => ({ key })), stale };
+}
+
+function printTable(results, reference, options) {
+    const types = [...errorTypes, ...warningTypes];
+    const header = ['locale', 'keys', 'complete', ...types];
+    const rows = Object.entries(results).map(([language, { keys, completeness, issues }]) => {
+        return [language, String(keys), `${completeness}%`, ...types.map(type => String(issues[type].length))];
+    });
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+
+    console.log(formatRow(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+
+    // Details: errors always, warnings with --verbose
+    const detailTypes = options.verbose ? types : errorTypes;
+    Object.entries(results).forEach(([language, { issues }]) => {
+        detailTypes.forEach(type => {
+            issues[type].forEach(issue => {
+                const detail = type === 'placeholders'
+                    ? ` expected {${issue.expected.join(', ')}} got {${issue.actual.join(', ')}}`
+                    : '';
+                console.log(`  ${language} ${type}: ${issue.key}${detail}`);
+            });
+        });
+    });
+
+    if (reference) {
+        console.log('');
+        console.log(`en.json: ${reference.unused.length} unused, ${reference.stale.length} differ from index.html`);
+        if (options.verbose) {
+            reference.unused.forEach(({ key }) => console.log(`  unused: ${key}`));
+            reference.stale.forEach(({ key, json, html }) => {
+                console.log(`  stale: ${key}\n    json: ${json}\n    html: ${html}`);
+            });
+        }
+    }
+
+    if (!options.verbose) {
+        console.log('Run with --verbose to list warnings.');
+    }
+}
+
+// Checks the given locales (all languages/*.json files by default)
+function checkTranslations(languages = null) {
+    const reference = readJson(path.join(languagesDir, `${referenceLanguage}.json`));
+    const htmlKeys = readHtmlKeys();
+    const scriptKeys = readScriptKeys();
+    const usedKeys = new Set([...htmlKeys.keys()].concat([...scriptKeys].filter(key => key in reference)));
+    const unusedKeys = findUnusedKeys(reference, htmlKeys, scriptKeys);
+
+    const selected = fs.readdirSync(languagesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .filter(language => !languages || languages.includes(language))
+        .sort();
+
+    const results = {};
+    selected.forEach(language => {
+        const translations = readJson(path.join(languagesDir, `${language}.json`));
+        const issues = checkLocale(language, translations, reference, usedKeys, new Set(unusedKeys));
+        results[language] = {
+            keys: Object.keys(translations).length,
+            completeness: getCompleteness(language, issues, reference, new Set(unusedKeys)),
+            issues
+        };
+    });
+
+    const referenceReport = selected.includes(referenceLanguage)
+        ? checkReference(reference, htmlKeys, unusedKeys)
+        : null;
+
+    return { results, referenceReport };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { results, referenceReport } = checkTranslations(options.languages);
+
+    if (options.json) {
+        console.log(JSON.stringify({ locales: results, reference: referenceReport }, null, 2));
+    } else {
+        printTable(results, referenceReport, options);
+    }
+
+    const failed = Object.values(results).some(({ issues }) => errorTypes.some(type => issues[type].length > 0));
+    process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+} else {
+    module.exports = { checkTranslations };
+}
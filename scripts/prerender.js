@@ -0,0 +1,221 @@
+/**
+ * Locale Pre-rendering
+ * Turns index.html into the static page of one locale, translated the same way js/language.js
+ * does it in the browser: data-translate content (rich text, js/rich-text.js), data-translate-attr
+ * attributes, <html lang/dir>, title, description, canonical and Open Graph tags.
+ * Keys the locale doesn't have keep the English text. Screenshots are still swapped in the
+ * browser (data/localized-images.json), which falls back to the original when a file is missing.
+ *
+ * Used by scripts/build-locales.js, which writes /<lang>/index.html for every locale.
+ */
+
+const richText = require('../js/rich-text.js');
+const messageFormat = require('../js/message-format.js');
+
+// Comments, script/style blocks (skipped), closing tags and opening tags
+const tokenPattern = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Just enough of the DOM for richText.render(), serialized as HTML
+class HtmlNode {
+    constructor(tag = null) {
+        this.tag = tag;
+        this.attributes = new Map();
+        this.children = [];
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, value);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    toHtml() {
+        const content = this.children.map(child => child.toHtml()).join('');
+        if (!this.tag) return content;
+        if (this.tag === 'br') return '<br>';
+
+        const attributes = Array.from(this.attributes, ([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+        return `<${this.tag}${attributes}>${content}</${this.tag}>`;
+    }
+}
+
+const htmlDocument = {
+    createDocumentFragment: () => new HtmlNode(),
+    createElement: (tag) => new HtmlNode(tag),
+    createTextNode: (text) => ({ toHtml: () => escapeHtml(text) })
+};
+
+function renderRichText(source) {
+    return richText.render(source, htmlDocument).toHtml();
+}
+
+function getAttribute(openingTag, name) {
+    const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(openingTag);
+    return match ? (match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+function setAttribute(openingTag, name, value) {
+    const attribute = `${name}="${escapeHtml(value)}"`;
+    const pattern = new RegExp(`(\\s)${name}(?:\\s*=\\s*(?:"[^"]*"|'[^']*'))?(?=[\\s/>])`, 'i');
+
+    if (pattern.test(openingTag)) {
+        return openingTag.replace(pattern, (match, space) => space + attribute);
+    }
+    return openingTag.replace(/\s*(\/?)>$/, ` ${attribute}$1>`);
+}
+
+// Start of the closing tag that matches an element opened just before `from`
+function findClosingTag(html, tag, from) {
+    const pattern = new RegExp(tokenPattern.source, 'g');
+    pattern.lastIndex = from;
+
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html))) {
+        const [, , closeName, openName, attributes] = match;
+        if (openName && openName.toLowerCase() === tag && !/\/\s*$/.test(attributes)) {
+            depth++;
+        } else if (closeName && closeName.toLowerCase() === tag && --depth === 0) {
+            return match.index;
+        }
+    }
+    return -1;
+}
+
+// Returns the list of { start, end, text } replacements for data-translate and data-translate-attr
+function collectEdits(html, translations) {
+    const pattern = new RegExp(tokenPattern.source, 'g');
+    const edits = [];
+    let skipUntil = 0;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        const [token, , , tagName] = match;
+        if (!tagName || match.index < skipUntil) continue;
+
+        const tag = tagName.toLowerCase();
+        let opening = token;
+
+        (getAttribute(opening, 'data-translate-attr') || '').split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key && translations[key]) {
+                opening = setAttribute(opening, attribute, richText.toPlainText(translations[key]));
+            }
+        });
+
+        const key = getAttribute(opening, 'data-translate');
+        const translation = key ? translations[key] : null;
+        let content = null;
+
+        if (translation) {
+            if (tag === 'input' || tag === 'textarea') {
+                const type = getAttribute(opening, 'type');
+                const attribute = type === 'submit' || type === 'button' ? 'value' : 'placeholder';
+                opening = setAttribute(opening, attribute, richText.toPlainText(translation));
+            } else if (getAttribute(opening, 'aria-label') !== null) {
+                opening = setAttribute(opening, 'aria-label', richText.toPlainText(translation));
+            } else {
+                content = renderRichText(translation);
+            }
+        }
+
+        if (opening !== token) {
+            edits.push({ start: match.index, end: match.index + token.length, text: opening });
+        }
+
+        if (content !== null) {
+            const end = findClosingTag(html, tag, pattern.lastIndex);
+            if (end === -1) {
+                throw new Error(`<${tag} data-translate="${key}"> is never closed`);
+            }
+            edits.push({ start: pattern.lastIndex, end, text: content });
+            skipUntil = end;
+        }
+    }
+
+    return edits;
+}
+
+function applyEdits(html, edits) {
+    return edits
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), html);
+}
+
+// <time datetime data-relative-time> as "1 week ago" counted from `now`; the browser updates it
+// to the visitor's date (js/main.js)
+function renderRelativeTimes(html, localeTag, now) {
+    const pattern = /(<time\b(?:[^>"']|"[^"]*"|'[^']*')*\sdata-relative-time\b(?:[^>"']|"[^"]*"|'[^']*')*>)[^<]*(<\/time>)/g;
+
+    return html.replace(pattern, (match, opening, closing) => {
+        const date = getAttribute(opening, 'datetime');
+        return date ? opening + escapeHtml(messageFormat.formatRelativeTime(date, localeTag, now)) + closing : match;
+    });
+}
+
+// Sets attributes on the first tag in the <head> matching `pattern`
+function updateHeadTag(head, pattern, attributes) {
+    return head.replace(pattern, tag => {
+        return Object.entries(attributes).reduce((result, [name, value]) => setAttribute(result, name, value), tag);
+    });
+}
+
+// og:locale uses underscores: zh_CN, pt_BR
+function getOgLocale(tag) {
+    return tag.replace(/-/g, '_');
+}
+
+/**
+ * @param {string} html          index.html (English)
+ * @param {object} options
+ * @param {object} options.locale        entry from data/locales.json
+ * @param {object} options.translations  languages/<code>.json
+ * @param {string} options.url           absolute URL of the page
+ * @param {string} options.now           date relative times are counted from (the sitemap lastmod)
+ * @returns {string} the translated page
+ */
+function prerenderPage(html, { locale, translations, url, now }) {
+    const page = renderRelativeTimes(applyEdits(html, collectEdits(html, translations)), locale.tag, now);
+    const headEnd = page.indexOf('</head>');
+    if (headEnd === -1) {
+        throw new Error('index.html has no </head>');
+    }
+
+    let head = page.slice(0, headEnd);
+
+    head = updateHeadTag(head, /<html\b[^>]*>/, { lang: locale.tag, dir: locale.dir, 'data-prerendered': locale.code });
+    head = updateHeadTag(head, /<link rel="canonical"[^>]*>/, { href: url });
+    head = updateHeadTag(head, /<meta property="og:url"[^>]*>/, { content: url });
+    head = updateHeadTag(head, /<meta property="og:locale"[^>]*>/, { content: getOgLocale(locale.tag) });
+
+    if (translations.page_title) {
+        const title = richText.toPlainText(translations.page_title);
+        head = head.replace(/(<title>)[\s\S]*?(<\/title>)/, (match, open, close) => open + escapeHtml(title) + close);
+        head = updateHeadTag(head, /<meta property="og:title"[^>]*>/, { content: title });
+    }
+
+    if (translations.page_description) {
+        const description = richText.toPlainText(translations.page_description);
+        head = updateHeadTag(head, /<meta name="description"[^>]*>/, { content: description });
+        head = updateHeadTag(head, /<meta property="og:description"[^>]*>/, { content: description });
+    }
+
+    return head + page.slice(headEnd);
+}
+
+module.exports = { prerenderPage, renderRelativeTimes, getOgLocale, renderRichText };
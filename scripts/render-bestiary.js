@@ -0,0 +1,158 @@
+/**
+ * Bestiary Rendering
+ * Turns data/bestiary.json into the entity cards of the Bestiary section and the options
+ * of its sector filter. Builds on the walkthrough renderer: the same data-translate
+ * markup, item lists and map buttons, and links to the walkthrough steps an entity
+ * appears in (?tab=<sector>&step=<n>, the routes js/main.js handles).
+ *
+ * Used by scripts/build-walkthrough.js, which validates both files together.
+ */
+
+const { WalkthroughRenderer, getMapTitleKey } = require('./render-walkthrough.js');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function indent(lines, depth = 1) {
+    return lines.map(line => (line ? '    '.repeat(depth) + line : line));
+}
+
+// "security-bot" -> "entity_security_bot", its description is entity_security_bot_desc
+function getEntityKey(entityId) {
+    return `entity_${entityId.replace(/-/g, '_')}`;
+}
+
+function getWeaknessKey(weaknessId) {
+    return `weakness_${weaknessId}`;
+}
+
+class BestiaryRenderer extends WalkthroughRenderer {
+    /**
+     * @param {object} bestiary      data/bestiary.json
+     * @param {object} content       data/walkthrough.json
+     * @param {object} translations  languages/<code>.json; en.json fills the gaps
+     * @param {object} [english]
+     */
+    constructor(bestiary, content, translations, english = translations) {
+        super(content, translations, english);
+        this.entities = bestiary.entities || [];
+        this.maxThreat = 5;
+
+        // Step id -> its sector, title key and 1-based position in the panel
+        this.steps = new Map();
+        this.sectors.forEach(sector => {
+            (sector.steps || []).forEach((step, index) => {
+                this.steps.set(step.id, { sector: sector.id, title: step.title, number: index + 1 });
+            });
+        });
+    }
+
+    getSectorIds(entity) {
+        return Array.from(new Set(entity.steps.map(stepId => this.steps.get(stepId).sector)));
+    }
+
+    // Sectors that have at least one entity, in walkthrough order
+    renderSectorOptions() {
+        const used = new Set(this.entities.flatMap(entity => this.getSectorIds(entity)));
+
+        return this.sectors
+            .filter(sector => used.has(sector.id))
+            .map(sector => this.element('option', sector.nav, ` value="${escapeHtml(sector.id)}"`));
+    }
+
+    renderEntities() {
+        return this.entities.flatMap((entity, index) => [
+            ...(index > 0 ? [''] : []),
+            ...this.renderEntity(entity)
+        ]);
+    }
+
+    renderEntity(entity) {
+        const key = getEntityKey(entity.id);
+        const attributes = [
+            `class="bestiary-card"`,
+            `id="entity-${escapeHtml(entity.id)}"`,
+            `data-kind="${escapeHtml(entity.kind)}"`,
+            `data-sectors="${escapeHtml(this.getSectorIds(entity).join(' '))}"`,
+            ...(entity.boss ? ['data-boss'] : [])
+        ];
+
+        return [
+            `<article ${attributes.join(' ')}>`,
+            ...indent([
+                ...(entity.image ? [this.image(entity.image, 'bestiary-img')] : []),
+                '<div class="bestiary-card-body">',
+                ...indent([
+                    '<div class="bestiary-card-header">',
+                    ...indent([
+                        this.element('h3', key),
+                        this.element('span', `bestiary_kind_${entity.kind}`, ' class="bestiary-tag"'),
+                        ...(entity.boss ? [this.element('span', 'bestiary_boss', ' class="bestiary-tag bestiary-tag-boss"')] : [])
+                    ]),
+                    '</div>',
+                    this.element('p', `${key}_desc`),
+                    '<dl class="dw-step-facts bestiary-facts">',
+                    ...indent(this.renderEntityFacts(entity)),
+                    '</dl>'
+                ]),
+                '</div>'
+            ]),
+            '</article>'
+        ];
+    }
+
+    // Threat always; the lists only when they have something in them
+    renderEntityFacts(entity) {
+        const facts = [...this.renderFact('bestiary_threat', this.renderThreat(entity.threat))];
+
+        if (entity.weaknesses.length > 0) {
+            facts.push(...this.renderFact('bestiary_weaknesses', [
+                '<ul class="dw-item-list">',
+                ...indent(entity.weaknesses.map(id => this.element('li', getWeaknessKey(id), ' class="dw-item"'))),
+                '</ul>'
+            ]));
+        }
+        if (entity.weapons.length > 0) {
+            facts.push(...this.renderFact('bestiary_weapons', this.renderItems(entity.weapons.map(item => ({ item })))));
+        }
+        if (entity.drops.length > 0) {
+            facts.push(...this.renderFact('bestiary_drops', this.renderItems(entity.drops.map(item => ({ item })))));
+        }
+        if (entity.maps.length > 0) {
+            // Any [data-map] element opens the map modal (js/main.js)
+            facts.push(...this.renderFact('bestiary_maps', [
+                '<ul class="dw-item-list">',
+                ...indent(entity.maps.map(mapId => `<li>${this.element('button', getMapTitleKey(mapId), ` type="button" class="dw-step-map" data-map="${escapeHtml(mapId)}"`)}</li>`)),
+                '</ul>'
+            ]));
+        }
+
+        facts.push(...this.renderFact('bestiary_steps', [
+            '<ul class="dw-item-list">',
+            ...indent(entity.steps.map(stepId => `<li>${this.renderStepLink(stepId)}</li>`)),
+            '</ul>'
+        ]));
+
+        return facts;
+    }
+
+    renderThreat(threat) {
+        const dots = '●'.repeat(threat) + '○'.repeat(this.maxThreat - threat);
+        return [
+            `<span class="bestiary-threat" data-threat="${threat}"><span aria-hidden="true">${dots}</span> ${threat}/${this.maxThreat}</span>`
+        ];
+    }
+
+    renderStepLink(stepId) {
+        const step = this.steps.get(stepId);
+        const href = `?tab=${encodeURIComponent(step.sector)}&amp;step=${step.number}`;
+        return this.element('a', step.title, ` class="bestiary-step" href="${href}" data-step="${escapeHtml(step.title)}"`);
+    }
+}
+
+module.exports = { BestiaryRenderer, getEntityKey, getWeaknessKey };
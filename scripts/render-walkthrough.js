@@ -0,0 +1,193 @@
+/**
+ * Walkthrough Rendering
+ * Turns data/walkthrough.json into the markup of the Main Process cards, the hidden
+ * .process-flow, the Detailed Walkthrough tabs (.dw-nav) and their panels (.dw-panel).
+ * Every text keeps its data-translate key, so js/language.js and scripts/prerender.js
+ * translate the result like any hand-written element. The text written in is the given
+ * locale's, falling back to English for keys it doesn't have.
+ *
+ * Used by scripts/build-walkthrough.js, which writes the English markup into index.html.
+ * Each function returns lines indented relative to the block they go in.
+ */
+
+const richText = require('../js/rich-text.js');
+const { renderRichText } = require('./prerender.js');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function indent(lines, depth = 1) {
+    return lines.map(line => (line ? '    '.repeat(depth) + line : line));
+}
+
+// "manufacturing-west" -> "map_manufacturing_west_title", the key js/main.js uses for the map modal
+function getMapTitleKey(mapId) {
+    return `map_${mapId.replace(/-/g, '_')}_title`;
+}
+
+function getItemKey(itemId) {
+    return `item_${itemId}`;
+}
+
+class WalkthroughRenderer {
+    /**
+     * @param {object} content       data/walkthrough.json
+     * @param {object} translations  languages/<code>.json; en.json fills the gaps
+     * @param {object} [english]
+     */
+    constructor(content, translations, english = translations) {
+        this.sectors = content.sectors || [];
+        this.translations = translations;
+        this.english = english;
+    }
+
+    text(key) {
+        const value = this.translations[key] || this.english[key];
+        if (typeof value !== 'string') {
+            throw new Error(`data/walkthrough.json: no translation for "${key}"`);
+        }
+        return value;
+    }
+
+    // <tag data-translate="key">text</tag>, rich text like js/language.js renders it
+    element(tag, key, attributes = '') {
+        return `<${tag}${attributes} data-translate="${escapeHtml(key)}">${renderRichText(this.text(key))}</${tag}>`;
+    }
+
+    image(image, className) {
+        const alt = escapeHtml(richText.toPlainText(this.text(image.alt)));
+        const classAttribute = className ? ` class="${className}"` : '';
+        return `<img src="${escapeHtml(image.src)}" alt="${alt}" data-translate-attr="alt:${escapeHtml(image.alt)}"${classAttribute}>`;
+    }
+
+    // What a sector's card lists: its steps, or what's still to come
+    getSummaries(sector) {
+        return (sector.steps || []).concat(sector.upcoming || [])
+            .map(step => step.summary)
+            .filter(Boolean);
+    }
+
+    renderCards() {
+        return this.sectors.flatMap(sector => [
+            '<article class="process-card">',
+            ...indent([
+                this.image(sector.image),
+                this.element('h3', sector.card),
+                '<ul>',
+                ...indent(this.getSummaries(sector).map(key => this.element('li', key))),
+                '</ul>'
+            ]),
+            '</article>'
+        ]);
+    }
+
+    renderProcessFlow() {
+        return this.sectors.flatMap((sector, index) => [
+            ...(index > 0 ? ['', '<div class="process-arrow">→</div>', ''] : []),
+            `<div class="process-step${sector.upcoming ? ' final-step' : ''}">`,
+            ...indent([
+                '<div class="step-image">',
+                ...indent([this.image(sector.image, 'step-img')]),
+                '</div>',
+                this.element('h3', sector.card, ' class="step-title"'),
+                '<div class="step-details">',
+                ...indent([
+                    '<ul>',
+                    ...indent(this.getSummaries(sector).map(key => this.element('li', key))),
+                    '</ul>'
+                ]),
+                '</div>'
+            ]),
+            '</div>'
+        ]);
+    }
+
+    renderNav() {
+        return this.sectors.map((sector, index) => {
+            const active = index === 0 ? ' active' : '';
+            return this.element('button', sector.nav, ` class="dw-nav-item${active}" data-target="dw-${sector.id}"`);
+        });
+    }
+
+    renderPanels() {
+        return this.sectors.flatMap((sector, index) => [
+            ...(index > 0 ? [''] : []),
+            `<article class="dw-panel${index === 0 ? ' active' : ''}" id="dw-${sector.id}">`,
+            ...indent([
+                this.element('h3', sector.title),
+                ...(sector.body || []).map(key => this.element('p', key)),
+                ...(sector.steps || []).flatMap((step, stepIndex) => [
+                    ...(stepIndex > 0 ? [''] : []),
+                    ...this.renderStep(step)
+                ]),
+                ...(sector.upcoming ? [
+                    '<ul>',
+                    ...indent(sector.upcoming.map(entry => this.element('li', entry.title))),
+                    '</ul>'
+                ] : [])
+            ]),
+            '</article>'
+        ]);
+    }
+
+    renderStep(step) {
+        return [
+            this.element('h4', step.title, ` id="step-${step.id}"`),
+            ...this.renderFacts(step),
+            ...step.body.map(key => this.element('p', key)),
+            ...(step.images || []).map(image => this.image(image, 'dw-img'))
+        ];
+    }
+
+    // Required items, rewards and the map of the area, when the step has them
+    renderFacts(step) {
+        const facts = [];
+
+        if (step.requires && step.requires.length > 0) {
+            facts.push(...this.renderFact('dw_step_requires', this.renderItems(step.requires)));
+        }
+        if (step.rewards && step.rewards.length > 0) {
+            facts.push(...this.renderFact('dw_step_rewards', this.renderItems(step.rewards)));
+        }
+        if (step.map) {
+            // Any [data-map] element opens the map modal (js/main.js)
+            const button = this.element('button', getMapTitleKey(step.map), ` type="button" class="dw-step-map" data-map="${escapeHtml(step.map)}"`);
+            facts.push(...this.renderFact('dw_step_map', [button]));
+        }
+
+        if (facts.length === 0) return [];
+        return ['<dl class="dw-step-facts">', ...indent(facts), '</dl>'];
+    }
+
+    renderFact(labelKey, content) {
+        return [
+            '<div class="dw-step-fact">',
+            ...indent([
+                this.element('dt', labelKey),
+                '<dd>',
+                ...indent(content),
+                '</dd>'
+            ]),
+            '</div>'
+        ];
+    }
+
+    renderItems(items) {
+        return [
+            '<ul class="dw-item-list">',
+            ...indent(items.map(({ item, count = 1 }) => {
+                const name = this.element('span', getItemKey(item));
+                const quantity = count > 1 ? ` <span class="dw-item-count">×${count}</span>` : '';
+                return `<li class="dw-item" data-item-id="${escapeHtml(item)}">${name}${quantity}</li>`;
+            })),
+            '</ul>'
+        ];
+    }
+}
+
+module.exports = { WalkthroughRenderer, getMapTitleKey, getItemKey };